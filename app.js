@@ -7,7 +7,70 @@
 
 console.log('app.js loaded');
 
-const { useState } = React;
+const { useState, useEffect, useRef } = React;
+const {
+  OBSTACLE_TYPES,
+  HEIGHT_POLICIES,
+  artworkName,
+  computePlacements,
+  groupCenter,
+  installOrder,
+  listNails,
+  snapFrame,
+  obstacleName,
+  keepOutZone,
+  findConflicts,
+  validatePlan
+} = PlacementEngine;
+const {
+  UNITS,
+  parseLength,
+  formatLength,
+  formatInput,
+  fromUnit,
+  roundToTape,
+  weightUnit,
+  parseWeight,
+  formatWeight,
+  formatWeightInput
+} = Units;
+const { suggestArrangements } = AutoArrange;
+
+// Renders engine derivation steps as "Label = expression = value; ..."
+const describeSteps = (steps, units) =>
+  steps
+    .map(s => `${s.label} = ${s.expr.replace(/\{(\d+)\}/g, (_, i) => formatLength(s.args[i], units))} = ${formatLength(s.value, units)}`)
+    .join('; ');
+
+// Text field for a length in the display unit. Accepts "12 3/8", "2' 4-1/2\"" or "305mm";
+// the stored value only changes when the text reads as a length, so untouched fields never drift.
+const LengthInput = ({ value, units, onChange, className, parse = parseLength, format = formatInput, kind = 'length' }) => {
+  const [text, setText] = useState(null);
+  const invalid = text != null && text.trim() !== '' && parse(text, units) == null;
+
+  return (
+    <input
+      type="text"
+      inputMode="decimal"
+      value={text != null ? text : value == null ? '' : format(value, units)}
+      onChange={(e) => {
+        setText(e.target.value);
+        const parsed = e.target.value.trim() === '' ? 0 : parse(e.target.value, units);
+        if (parsed != null) onChange(parsed);
+      }}
+      onBlur={() => setText(null)}
+      title={invalid ? `Not a ${kind} this calculator can read` : undefined}
+      className={`${className} ${invalid ? 'border-red-500 bg-red-50' : ''}`}
+    />
+  );
+};
+
+// Weight in kilograms, typed in pounds alongside inches and kilograms otherwise ("9 lb" works too).
+const WeightInput = props => <LengthInput {...props} parse={parseWeight} format={formatWeightInput} kind="weight" />;
+
+// Square thumbnail of an artwork's photo, or nothing when it has none.
+const Thumbnail = ({ art, size = 'w-10 h-10' }) =>
+  art && art.thumbnail ? <img src={art.thumbnail} alt="" className={`${size} object-cover rounded border border-gray-300`} /> : null;
 
 // Lucide-like inline SVG icons
 const Calculator = () => (
@@ -42,407 +105,2086 @@ const Trash2 = () => (
   </svg>
 );
 
-const ArtHangingCalculator = () => {
-  const [units, setUnits] = useState('cm');
-  const [targetCentroid, setTargetCentroid] = useState(152.4);
-  const [wallWidth, setWallWidth] = useState(0);
-  const [configuration, setConfiguration] = useState('single');
-
-  const [artworks, setArtworks] = useState([
-    {
-      id: 1,
-      width: 0,
-      height: 0,
-      wireOffset: 0,
-      mountingType: 'wire',
-      mountingVerticalOffset: 0,
-      mountingHorizontalOffset: 0,
-      hangerOffset: 2.54
+// Visible extent of the preview: the wall plus anything hanging past its edges.
+const fitPreview = (wallWidth, targetCentroid, results, zones) => {
+  const frames = results.map(r => r.frame);
+  const nails = results.flatMap(r => r.nails);
+  const contentTop = Math.max(targetCentroid, ...frames.map(f => f.top), ...nails.map(n => n.y), ...zones.map(z => z.top));
+  const wallHeight = contentTop * 1.15;
+  const minX = Math.min(0, ...frames.map(f => f.left));
+  const maxX = Math.max(wallWidth, ...frames.map(f => f.right));
+  const size = Math.max(maxX - minX, wallHeight);
+  return { wallHeight, minX, maxX, pad: size * 0.08, font: size / 45 };
+};
+
+// To-scale elevation of the wall. Works in wall units with y flipped so the floor is at the bottom.
+// With onMoveArtwork, frames can be dragged; positions snap to other frames, the wall centre
+// and the target centroid line (hold Alt to turn snapping off).
+const WallPreview = ({
+  wallWidth,
+  targetCentroid,
+  results,
+  units,
+  obstacles = [],
+  conflicts = [],
+  furniture,
+  onMoveArtwork,
+  snapGap = 0,
+  anchor,
+  artworks = []
+}) => {
+  const svgRef = useRef(null);
+  const [drag, setDrag] = useState(null);
+  const [guides, setGuides] = useState([]);
+
+  if (!(wallWidth > 0)) {
+    return <p className="text-sm text-gray-500">Enter a wall width to see the preview.</p>;
+  }
+
+  const zones = obstacles.map(keepOutZone);
+  // Keep the scale fixed while dragging so the frame stays under the pointer.
+  const view = drag ? drag.view : fitPreview(wallWidth, targetCentroid, results, zones);
+  const { wallHeight, minX, maxX, pad, font } = view;
+  const y = value => wallHeight - value;
+  const photoFor = result => (artworks.find(art => art.id === result.id) || {}).thumbnail;
+
+  const toWall = event => {
+    const point = svgRef.current.createSVGPoint();
+    point.x = event.clientX;
+    point.y = event.clientY;
+    const local = point.matrixTransform(svgRef.current.getScreenCTM().inverse());
+    return { x: local.x, y: wallHeight - local.y };
+  };
+
+  const startDrag = (event, result) => {
+    if (!onMoveArtwork) return;
+    const point = toWall(event);
+    setDrag({ id: result.id, dx: point.x - result.centerX, dy: point.y - result.centroid, view });
+  };
+
+  const moveDrag = event => {
+    if (!drag) return;
+    const point = toWall(event);
+    const result = results.find(r => r.id === drag.id);
+    const halfWidth = (result.frame.right - result.frame.left) / 2;
+    const halfHeight = (result.frame.top - result.frame.bottom) / 2;
+    const centerX = point.x - drag.dx;
+    const centroid = point.y - drag.dy;
+
+    if (event.altKey) {
+      setGuides([]);
+      onMoveArtwork(drag.id, centerX, centroid);
+      return;
+    }
+
+    const snapped = snapFrame(
+      { left: centerX - halfWidth, right: centerX + halfWidth, bottom: centroid - halfHeight, top: centroid + halfHeight },
+      results.filter(r => r.id !== drag.id).map(r => r.frame),
+      { threshold: font, gap: snapGap, linesX: [wallWidth / 2, ...(anchor ? [anchor.x] : [])], linesY: [targetCentroid] }
+    );
+    setGuides(snapped.guides);
+    onMoveArtwork(drag.id, snapped.centerX, snapped.centroid);
+  };
+
+  const endDrag = () => {
+    setDrag(null);
+    setGuides([]);
+  };
+
+  return (
+    <svg
+      ref={svgRef}
+      viewBox={`${minX - pad} ${-pad} ${maxX - minX + pad * 2} ${wallHeight + pad * 2}`}
+      className="w-full h-auto bg-white rounded-lg border border-gray-200"
+      fontFamily="ui-sans-serif, system-ui"
+      style={onMoveArtwork ? { touchAction: 'none' } : undefined}
+      onPointerMove={moveDrag}
+      onPointerUp={endDrag}
+      onPointerLeave={endDrag}
+    >
+      <rect x={0} y={0} width={wallWidth} height={wallHeight} fill="#f8fafc" stroke="#94a3b8" strokeWidth={font / 8} />
+      <line x1={minX - pad / 2} x2={maxX + pad / 2} y1={y(0)} y2={y(0)} stroke="#334155" strokeWidth={font / 4} />
+
+      {furniture && furniture.enabled && (
+        <g>
+          <rect
+            x={furniture.x}
+            y={y(furniture.height)}
+            width={furniture.width}
+            height={furniture.height}
+            fill="#fed7aa"
+            stroke="#c2410c"
+            strokeWidth={font / 8}
+          />
+          <text x={furniture.x + furniture.width / 2} y={y(furniture.height / 2)} fontSize={font} textAnchor="middle" fill="#9a3412">
+            Furniture, top {formatLength(furniture.height, units)}
+          </text>
+        </g>
+      )}
+
+      {anchor && (
+        <g>
+          <line
+            x1={anchor.x}
+            x2={anchor.x}
+            y1={y(wallHeight)}
+            y2={y(0)}
+            stroke="#d97706"
+            strokeWidth={font / 8}
+            strokeDasharray={`${font} ${font / 2}`}
+          />
+          <text x={anchor.x + font / 3} y={y(wallHeight) + font * 1.2} fontSize={font} fill="#b45309">
+            {anchor.label}
+          </text>
+        </g>
+      )}
+
+      {obstacles.map((obstacle, i) => (
+        <g key={obstacle.id}>
+          <rect
+            x={zones[i].left}
+            y={y(zones[i].top)}
+            width={zones[i].right - zones[i].left}
+            height={zones[i].top - zones[i].bottom}
+            fill="none"
+            stroke="#e11d48"
+            strokeWidth={font / 10}
+            strokeDasharray={`${font / 2} ${font / 3}`}
+          />
+          <rect
+            x={obstacle.x}
+            y={y(obstacle.y + obstacle.height)}
+            width={obstacle.width}
+            height={obstacle.height}
+            fill="#fecdd3"
+            stroke="#e11d48"
+            strokeWidth={font / 8}
+          />
+          <text x={obstacle.x} y={y(obstacle.y + obstacle.height) - font / 3} fontSize={font * 0.8} fill="#be123c">
+            {obstacleName(obstacle, obstacles)}
+          </text>
+        </g>
+      ))}
+
+      <line
+        x1={0}
+        x2={wallWidth}
+        y1={y(targetCentroid)}
+        y2={y(targetCentroid)}
+        stroke="#2563eb"
+        strokeWidth={font / 8}
+        strokeDasharray={`${font} ${font / 2}`}
+      />
+      <text x={font / 2} y={y(targetCentroid) - font / 2} fontSize={font} fill="#2563eb">
+        Centroid {formatLength(targetCentroid, units)}
+      </text>
+
+      {results.map(result => (
+        <g key={result.id}>
+          <rect
+            x={result.frame.left}
+            y={y(result.frame.top)}
+            width={result.frame.right - result.frame.left}
+            height={result.frame.top - result.frame.bottom}
+            fill={drag && drag.id === result.id ? '#cbd5e1' : '#e2e8f0'}
+            fillOpacity={0.85}
+            stroke={conflicts.some(c => c.id === result.id) ? '#dc2626' : '#475569'}
+            strokeWidth={font / 6}
+            style={onMoveArtwork ? { cursor: 'move' } : undefined}
+            onPointerDown={(e) => startDrag(e, result)}
+          />
+          {photoFor(result) && (
+            <image
+              href={photoFor(result)}
+              x={result.frame.left}
+              y={y(result.frame.top)}
+              width={result.frame.right - result.frame.left}
+              height={result.frame.top - result.frame.bottom}
+              preserveAspectRatio="xMidYMid slice"
+              opacity={0.8}
+              pointerEvents="none"
+            />
+          )}
+          <text
+            x={result.centerX}
+            y={y(result.centroid)}
+            fontSize={font}
+            textAnchor="middle"
+            dominantBaseline="middle"
+            fill="#334155"
+            stroke="#f8fafc"
+            strokeWidth={font / 6}
+            paintOrder="stroke"
+            pointerEvents="none"
+          >
+            {result.name}: {formatLength(result.frame.right - result.frame.left, units)} ×{' '}
+            {formatLength(result.frame.top - result.frame.bottom, units)}
+          </text>
+          {result.rail && (
+            <line
+              x1={result.rail.left}
+              x2={result.rail.right}
+              y1={y(result.rail.y)}
+              y2={y(result.rail.y)}
+              stroke="#2563eb"
+              strokeWidth={font / 4}
+            />
+          )}
+          {result.nails.map(nail => (
+            <g key={nail.side}>
+              <line
+                x1={nail.x}
+                x2={nail.x}
+                y1={y(0)}
+                y2={y(nail.y)}
+                stroke="#dc2626"
+                strokeWidth={font / 10}
+                strokeDasharray={`${font / 3} ${font / 3}`}
+              />
+              <circle cx={nail.x} cy={y(nail.y)} r={font / 3} fill="#dc2626" />
+              <text x={nail.x + font / 2} y={y(nail.y) - font / 2} fontSize={font * 0.8} fill="#dc2626">
+                ↑{formatLength(nail.fromDatum, units)} {result.horizontalFromEdge === 'right' ? '←' : '→'}
+                {formatLength(nail.distance, units)}
+              </text>
+            </g>
+          ))}
+        </g>
+      ))}
+
+      {guides.map(guide =>
+        guide.axis === 'x' ? (
+          <line key="x" x1={guide.value} x2={guide.value} y1={y(wallHeight)} y2={y(0)} stroke="#059669" strokeWidth={font / 8} />
+        ) : (
+          <line key="y" x1={minX} x2={maxX} y1={y(guide.value)} y2={y(guide.value)} stroke="#059669" strokeWidth={font / 8} />
+        )
+      )}
+
+      <line x1={0} x2={wallWidth} y1={y(0) + pad / 2} y2={y(0) + pad / 2} stroke="#64748b" strokeWidth={font / 10} />
+      <line x1={0} x2={0} y1={y(0) + pad / 4} y2={y(0) + pad * 0.75} stroke="#64748b" strokeWidth={font / 10} />
+      <line x1={wallWidth} x2={wallWidth} y1={y(0) + pad / 4} y2={y(0) + pad * 0.75} stroke="#64748b" strokeWidth={font / 10} />
+      <text x={wallWidth / 2} y={y(0) + pad / 2 - font / 3} fontSize={font} textAnchor="middle" fill="#475569">
+        Wall width {formatLength(wallWidth, units)}
+      </text>
+    </svg>
+  );
+};
+
+// Undo keeps this many steps. Edits closer together than HISTORY_MERGE_MS form one step, so
+// typing a number or dragging a frame undoes in one go.
+const HISTORY_LIMIT = 100;
+const HISTORY_MERGE_MS = 800;
+
+// Longest side of a stored wall photo, in pixels.
+const PHOTO_SIZE = 1600;
+
+// Maps wall positions (cm from the left edge and floor) to pixels of a calibrated photo, or
+// null until the scale points, their distance, the floor line and the left edge are all set.
+const photoTransform = photo => {
+  if (!photo || photo.scalePoints.length < 2 || !(photo.scaleDistance > 0) || photo.floorY == null || photo.leftX == null) {
+    return null;
+  }
+  const [a, b] = photo.scalePoints;
+  const scale = Math.hypot(b.x - a.x, b.y - a.y) / photo.scaleDistance;
+  if (!(scale > 0)) return null;
+  return { scale, x: cm => photo.leftX + cm * scale, y: cm => photo.floorY - cm * scale };
+};
+
+const PHOTO_STEPS = {
+  scale: 'Click two points a known distance apart, such as the ends of a tape measure or a door frame.',
+  floor: 'Click anywhere on the floor line.',
+  left: 'Click the left edge of the wall.'
+};
+
+// The wall photo with the plan drawn over it at the calibrated scale. The photo should be
+// taken straight on; points are stored in image pixels.
+const PhotoOverlay = ({ photo, results, artworks = [], units, onChange }) => {
+  const svgRef = useRef(null);
+  const [step, setStep] = useState(null);
+  const transform = photoTransform(photo);
+  const font = photo.width / 60;
+
+  const mark = event => {
+    if (!step) return;
+    const point = svgRef.current.createSVGPoint();
+    point.x = event.clientX;
+    point.y = event.clientY;
+    const { x, y } = point.matrixTransform(svgRef.current.getScreenCTM().inverse());
+
+    if (step === 'scale') {
+      const scalePoints = photo.scalePoints.length === 1 ? [...photo.scalePoints, { x, y }] : [{ x, y }];
+      onChange({ ...photo, scalePoints });
+      if (scalePoints.length === 2) setStep(null);
+      return;
+    }
+    onChange(step === 'floor' ? { ...photo, floorY: y } : { ...photo, leftX: x });
+    setStep(null);
+  };
+
+  const buttonClass = active =>
+    `px-3 py-1 rounded-lg text-sm font-medium transition-all ${
+      active ? 'bg-cyan-600 text-white' : 'bg-white text-gray-700 hover:bg-cyan-100'
+    }`;
+  const photoFor = result => (artworks.find(art => art.id === result.id) || {}).thumbnail;
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-end gap-3 mb-3">
+        <button onClick={() => setStep('scale')} className={buttonClass(step === 'scale')}>
+          1. Mark scale points ({photo.scalePoints.length}/2)
+        </button>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Distance between them ({UNITS[units].label})</label>
+          <LengthInput
+            units={units}
+            value={photo.scaleDistance}
+            onChange={scaleDistance => onChange({ ...photo, scaleDistance })}
+            className="w-32 px-3 py-1 border border-cyan-200 rounded-lg focus:outline-none focus:border-cyan-500"
+          />
+        </div>
+        <button onClick={() => setStep('floor')} className={buttonClass(step === 'floor')}>
+          2. Mark floor line{photo.floorY != null ? ' ✓' : ''}
+        </button>
+        <button onClick={() => setStep('left')} className={buttonClass(step === 'left')}>
+          3. Mark left edge{photo.leftX != null ? ' ✓' : ''}
+        </button>
+      </div>
+      <p className="text-sm text-gray-600 mb-2">
+        {step
+          ? PHOTO_STEPS[step]
+          : transform
+            ? `Calibrated at ${(transform.scale * fromUnit(1, units)).toFixed(1)} pixels per ${UNITS[units].label}.`
+            : 'Finish the three steps to draw the plan on the photo.'}
+      </p>
+
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${photo.width} ${photo.height}`}
+        className="w-full h-auto rounded-lg border border-gray-200"
+        fontFamily="ui-sans-serif, system-ui"
+        style={step ? { cursor: 'crosshair' } : undefined}
+        onClick={mark}
+      >
+        <image href={photo.src} x={0} y={0} width={photo.width} height={photo.height} />
+
+        {photo.scalePoints.map((point, i) => (
+          <circle key={i} cx={point.x} cy={point.y} r={font / 3} fill="#0891b2" />
+        ))}
+        {photo.scalePoints.length === 2 && (
+          <line
+            x1={photo.scalePoints[0].x}
+            y1={photo.scalePoints[0].y}
+            x2={photo.scalePoints[1].x}
+            y2={photo.scalePoints[1].y}
+            stroke="#0891b2"
+            strokeWidth={font / 8}
+          />
+        )}
+        {photo.floorY != null && (
+          <line x1={0} x2={photo.width} y1={photo.floorY} y2={photo.floorY} stroke="#334155" strokeWidth={font / 8} strokeDasharray={`${font} ${font / 2}`} />
+        )}
+        {photo.leftX != null && (
+          <line x1={photo.leftX} x2={photo.leftX} y1={0} y2={photo.height} stroke="#334155" strokeWidth={font / 8} strokeDasharray={`${font} ${font / 2}`} />
+        )}
+
+        {transform &&
+          results.map(result => {
+            const left = transform.x(result.frame.left);
+            const top = transform.y(result.frame.top);
+            const width = (result.frame.right - result.frame.left) * transform.scale;
+            const height = (result.frame.top - result.frame.bottom) * transform.scale;
+            return (
+              <g key={result.id} pointerEvents="none">
+                {photoFor(result) ? (
+                  <image href={photoFor(result)} x={left} y={top} width={width} height={height} preserveAspectRatio="xMidYMid slice" />
+                ) : (
+                  <rect x={left} y={top} width={width} height={height} fill="#e2e8f0" fillOpacity={0.6} />
+                )}
+                <rect x={left} y={top} width={width} height={height} fill="none" stroke="#475569" strokeWidth={font / 6} />
+                <text
+                  x={left + width / 2}
+                  y={top + height / 2}
+                  fontSize={font}
+                  textAnchor="middle"
+                  dominantBaseline="middle"
+                  fill="#334155"
+                  stroke="#f8fafc"
+                  strokeWidth={font / 6}
+                  paintOrder="stroke"
+                >
+                  {result.name}
+                </text>
+                {result.nails.map(nail => (
+                  <circle key={nail.side} cx={transform.x(nail.x)} cy={transform.y(nail.y)} r={font / 3} fill="#dc2626" stroke="#fff" strokeWidth={font / 12} />
+                ))}
+              </g>
+            );
+          })}
+      </svg>
+    </div>
+  );
+};
+
+const ROW_ALIGNMENTS = {
+  top: 'Top',
+  center: 'Centerline (shared horizontal axis)',
+  bottom: 'Bottom'
+};
+
+const COLUMN_ALIGNMENTS = {
+  left: 'Left',
+  center: 'Center',
+  right: 'Right'
+};
+
+// Gives each artwork without a freeform position the spot it has in the current layout.
+const seedFreeformPositions = (artworks, results) =>
+  artworks.map(art => {
+    const result = results.find(r => r.id === art.id);
+    return art.freeformX != null || !result ? art : { ...art, freeformX: result.centerX, freeformY: result.centroid };
+  });
+
+// Project for a #plan= link in the hash: { project } on success, { error } if it cannot be read, {} otherwise.
+const readSharedPlan = hash => {
+  try {
+    const state = SharePlan.readHash(hash);
+    return state ? { project: ProjectStore.createProject('Shared plan', state) } : {};
+  } catch (err) {
+    return { error: `Could not open shared link: ${err.message}` };
+  }
+};
+
+// Engine input for one wall of the room and the artworks assigned to it.
+const wallPlan = (wall, artworks) => ({
+  wall: {
+    width: wall.wallWidth,
+    targetCentroid: wall.targetCentroid,
+    heightPolicy: wall.heightPolicy,
+    datum: wall.datum,
+    referenceEdge: wall.reference.edge,
+    anchor: { enabled: wall.reference.anchorEnabled, x: wall.reference.anchorX, label: wall.reference.anchorLabel }
+  },
+  artworks,
+  layout: wall.layout,
+  configuration: wall.configuration,
+  furniture: wall.furniture
+});
+
+// The height an arrangement is centred on: the middle of its frames, or for freeform pieces
+// the height the wall's policy gives.
+const centroidLine = (plan, results) =>
+  plan.configuration !== 'freeform' && results.length > 0
+    ? (Math.min(...results.map(r => r.frame.bottom)) + Math.max(...results.map(r => r.frame.top))) / 2
+    : groupCenter(plan, 0).centroid;
+
+// 57in and 60in, the usual gallery and museum centroids.
+const CENTROID_PRESETS = [144.78, 152.4];
+
+// What set a placement's height, e.g. "Eye level for a 170cm viewer, lowered to clear the ceiling".
+const describeHeight = (placementPolicy, wall, units) => {
+  const policy = wall.heightPolicy;
+  const source = {
+    centroid: `Fixed centroid at ${formatLength(wall.targetCentroid, units)}`,
+    eyeLevel: `Eye level for a ${formatLength(policy.viewerHeight, units)} viewer`,
+    ceiling: `${+(policy.ceilingProportion * 100).toFixed(1)}% of a ${formatLength(policy.ceilingHeight, units)} ceiling`,
+    bottomEdge: `Bottom edge at ${formatLength(policy.bottomEdge, units)}`,
+    furniture: 'Above the furniture',
+    placed: 'Placed by hand'
+  }[placementPolicy.type];
+  const limit = {
+    ceiling: `, lowered to keep ${formatLength(policy.ceilingClearance, units)} below the ceiling`,
+    floor: `, raised to keep ${formatLength(policy.floorClearance, units)} above the floor`
+  }[placementPolicy.limit];
+  return `${source}${limit || ''}`;
+};
+
+// Choice of hanging-height policy and the ceiling and floor limits every policy keeps to.
+const HangingHeight = ({ wall, units, issuesFor, onPolicyChange, onCentroidChange }) => {
+  const policy = wall.heightPolicy;
+  const unitLabel = UNITS[units].label;
+  const update = (field, value) => onPolicyChange({ ...policy, [field]: value });
+  const inputClass = 'w-full px-4 py-2 border-2 border-blue-200 rounded-lg focus:outline-none focus:border-blue-500';
+  const buttonClass = active =>
+    `px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
+      active ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-blue-100'
+    }`;
+
+  return (
+    <div className="mb-8 p-4 bg-blue-50 rounded-lg">
+      <p className="block text-sm font-semibold text-gray-700 mb-2">Hanging Height</p>
+      <div className="flex flex-wrap gap-2 mb-4">
+        {Object.entries(HEIGHT_POLICIES).map(([type, label]) => (
+          <button key={type} onClick={() => update('type', type)} className={buttonClass(policy.type === type)}>
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {policy.type === 'centroid' && (
+        <div>
+          <label className="block text-sm font-semibold text-gray-700 mb-2">
+            Target Centroid Height ({unitLabel} from floor)
+          </label>
+          <div className="flex gap-2">
+            {CENTROID_PRESETS.map(preset => (
+              <button
+                key={preset}
+                onClick={() => onCentroidChange(preset)}
+                className={buttonClass(Math.abs(wall.targetCentroid - preset) < 0.01)}
+              >
+                {formatLength(preset, 'inches')}
+              </button>
+            ))}
+            <LengthInput units={units} value={wall.targetCentroid} onChange={onCentroidChange} className={inputClass} />
+          </div>
+        </div>
+      )}
+      {policy.type === 'eyeLevel' && (
+        <div>
+          <label className="block text-sm font-semibold text-gray-700 mb-2">Viewer Height ({unitLabel})</label>
+          <LengthInput units={units} value={policy.viewerHeight} onChange={value => update('viewerHeight', value)} className={inputClass} />
+          <IssueList issues={issuesFor('viewerHeight')} units={units} />
+          <p className="text-sm text-gray-600 mt-2">The centroid goes at the viewer's eye level, about 93.5% of their height.</p>
+        </div>
+      )}
+      {policy.type === 'ceiling' && (
+        <div>
+          <label className="block text-sm font-semibold text-gray-700 mb-2">Centroid at % of Ceiling Height</label>
+          <input
+            type="number"
+            min="1"
+            max="99"
+            value={+(policy.ceilingProportion * 100).toFixed(1)}
+            onChange={(e) => update('ceilingProportion', (parseFloat(e.target.value) || 0) / 100)}
+            className={inputClass}
+          />
+          <IssueList issues={[...issuesFor('ceilingProportion'), ...issuesFor('ceilingHeight')]} units={units} />
+          <p className="text-sm text-gray-600 mt-2">For tall rooms, where a fixed centroid leaves too much bare wall above.</p>
+        </div>
+      )}
+      {policy.type === 'bottomEdge' && (
+        <div>
+          <label className="block text-sm font-semibold text-gray-700 mb-2">Bottom Edge Height ({unitLabel} from floor)</label>
+          <LengthInput units={units} value={policy.bottomEdge} onChange={value => update('bottomEdge', value)} className={inputClass} />
+          <p className="text-sm text-gray-600 mt-2">
+            The lowest frame edge stays at this height, clear of passers-by in a hallway, whatever the arrangement's size.
+          </p>
+        </div>
+      )}
+
+      <div className="grid md:grid-cols-3 gap-3 mt-4">
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Ceiling Height ({unitLabel})</label>
+          <LengthInput
+            units={units}
+            value={policy.ceilingHeight}
+            onChange={value => update('ceilingHeight', value)}
+            className="w-full px-3 py-2 border border-blue-200 rounded-lg focus:outline-none focus:border-blue-500"
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Min Space Below Ceiling ({unitLabel})</label>
+          <LengthInput
+            units={units}
+            value={policy.ceilingClearance}
+            onChange={value => update('ceilingClearance', value)}
+            className="w-full px-3 py-2 border border-blue-200 rounded-lg focus:outline-none focus:border-blue-500"
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Min Space Above Floor ({unitLabel})</label>
+          <LengthInput
+            units={units}
+            value={policy.floorClearance}
+            onChange={value => update('floorClearance', value)}
+            className="w-full px-3 py-2 border border-blue-200 rounded-lg focus:outline-none focus:border-blue-500"
+          />
+        </div>
+        <div className="md:col-span-3 -mt-2 empty:hidden">
+          <IssueList issues={[...issuesFor('ceilingClearance'), ...issuesFor('floorClearance')]} units={units} />
+        </div>
+      </div>
+      <p className="text-sm text-gray-600 mt-2">
+        The arrangement is moved down or up to keep these clearances. Leave the ceiling height at 0 if it does not matter.
+      </p>
+    </div>
+  );
+};
+
+// What installers measure heights from, and how far the floor is off level along the wall.
+const VerticalDatum = ({ datum, units, onChange }) => {
+  const unitLabel = UNITS[units].label;
+  const update = (field, value) => onChange({ ...datum, [field]: value });
+  const inputClass = 'w-full px-3 py-2 border border-teal-200 rounded-lg focus:outline-none focus:border-teal-500';
+
+  return (
+    <div className="mb-8 p-4 bg-teal-50 rounded-lg">
+      <p className="block text-sm font-semibold text-gray-700 mb-2">Measure Heights From</p>
+      <div className="grid md:grid-cols-2 gap-3">
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Reference name</label>
+          <input
+            type="text"
+            value={datum.name}
+            placeholder="floor"
+            onChange={(e) => update('name', e.target.value)}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">
+            Height above the {datum.level ? 'floor line' : 'floor'} ({unitLabel})
+          </label>
+          <LengthInput units={units} value={datum.offset} onChange={value => update('offset', value)} className={inputClass} />
+        </div>
+      </div>
+      <label className="flex items-center gap-2 mt-3 text-sm text-gray-700">
+        <input type="checkbox" checked={datum.level} onChange={(e) => update('level', e.target.checked)} />
+        Level line, such as a laser line, rather than something that follows the floor like a baseboard or chair rail
+      </label>
+      {!datum.level && (
+        <div className="grid md:grid-cols-2 gap-3 mt-3">
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Floor height at left end ({unitLabel})</label>
+            <LengthInput units={units} value={datum.floorLeft} onChange={value => update('floorLeft', value)} className={inputClass} />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Floor height at right end ({unitLabel})</label>
+            <LengthInput units={units} value={datum.floorRight} onChange={value => update('floorRight', value)} className={inputClass} />
+          </div>
+        </div>
+      )}
+      <p className="text-sm text-gray-600 mt-2">
+        {datum.level
+          ? 'Heights are given above this line, whatever the floor does.'
+          : 'For an uneven floor, measure its height at each end against a level line (negative where it is lower); each nail height is corrected for where it falls along the wall.'}
+      </p>
+    </div>
+  );
+};
+
+const ProjectPicker = ({
+  projects,
+  activeProjectId,
+  error,
+  shareLink,
+  onSelect,
+  onCreate,
+  onRename,
+  onDuplicate,
+  onDelete,
+  onExport,
+  onImport,
+  onShare
+}) => {
+  const buttonClass = 'px-3 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors text-sm font-medium';
+
+  return (
+    <div className="mb-6 p-4 bg-slate-50 rounded-lg border border-slate-200">
+      <div className="flex flex-wrap items-center gap-2">
+        <label className="text-sm font-semibold text-gray-700 mr-1">Room</label>
+        <select
+          value={activeProjectId}
+          onChange={(e) => onSelect(projects.find(p => String(p.id) === e.target.value))}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-blue-500"
+        >
+          {projects.map(p => (
+            <option key={p.id} value={p.id}>{p.name}</option>
+          ))}
+        </select>
+        <button onClick={onCreate} className={buttonClass}>New</button>
+        <button onClick={onRename} className={buttonClass}>Rename</button>
+        <button onClick={onDuplicate} className={buttonClass}>Duplicate</button>
+        <button onClick={onDelete} className={`${buttonClass} text-red-600`}>Delete</button>
+        <span className="ml-auto flex gap-2">
+          <button onClick={onShare} className={buttonClass}>Copy share link</button>
+          <button onClick={onExport} className={buttonClass}>Export JSON</button>
+          <label className={`${buttonClass} cursor-pointer`}>
+            Import JSON
+            <input
+              type="file"
+              accept="application/json,.json"
+              className="hidden"
+              onChange={(e) => {
+                onImport(e.target.files[0]);
+                e.target.value = '';
+              }}
+            />
+          </label>
+        </span>
+      </div>
+      {shareLink && (
+        <div className="mt-3">
+          <input
+            readOnly
+            value={shareLink}
+            onFocus={(e) => e.target.select()}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-xs font-mono text-gray-700"
+          />
+          <p className="text-xs text-gray-500 mt-1">Link copied. Anyone opening it gets this exact plan as a new project.</p>
+        </div>
+      )}
+      {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+    </div>
+  );
+};
+
+const WallTabs = ({ walls, activeWallId, inventory, onSelect, onAdd, onRename, onDelete }) => {
+  const buttonClass = 'px-3 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors text-sm font-medium';
+
+  return (
+    <div className="mb-6 flex flex-wrap items-center gap-2">
+      <span className="text-sm font-semibold text-gray-700 mr-1">Walls</span>
+      {walls.map(w => (
+        <button
+          key={w.id}
+          onClick={() => onSelect(w.id)}
+          className={`px-4 py-2 rounded-lg text-sm font-medium transition-all ${
+            w.id === activeWallId ? 'bg-blue-600 text-white shadow' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+          }`}
+        >
+          {w.name} ({inventory.filter(art => art.wallId === w.id).length})
+        </button>
+      ))}
+      <button onClick={onAdd} className={`${buttonClass} flex items-center gap-1`}>
+        <div className="w-4 h-4"><Plus /></div>
+        Add Wall
+      </button>
+      <button onClick={onRename} className={buttonClass}>Rename</button>
+      {walls.length > 1 && (
+        <button onClick={onDelete} className={`${buttonClass} text-red-600`}>Delete</button>
+      )}
+    </div>
+  );
+};
+
+// Every artwork in the room, whichever wall it is on.
+const ArtworkInventory = ({ inventory, walls, units, onAdd, onUpdate, onRemove }) => {
+  const unitLabel = UNITS[units].label;
+
+  return (
+    <div className="mb-8 p-4 bg-slate-50 rounded-lg border border-slate-200">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="font-semibold text-gray-800">Room Inventory</h3>
+        <button
+          onClick={onAdd}
+          className="flex items-center gap-2 px-3 py-1 bg-slate-600 text-white rounded-lg hover:bg-slate-700 transition-colors text-sm"
+        >
+          <div className="w-4 h-4"><Plus /></div>
+          Add Piece
+        </button>
+      </div>
+      <p className="text-sm text-gray-600 mb-3">
+        Assign each piece to a wall, or leave it unassigned until you decide where it goes.
+      </p>
+      <div className="space-y-2">
+        {inventory.map((art, i) => (
+          <div key={art.id} className="grid grid-cols-2 md:grid-cols-5 gap-3 items-end">
+            <span className="flex items-center gap-2 text-sm font-medium text-gray-700 pb-1">
+              <Thumbnail art={art} size="w-8 h-8" />
+              {art.title || `Piece ${i + 1}`}
+            </span>
+            <div>
+              <label className="block text-xs font-medium text-gray-600 mb-1">Width ({unitLabel})</label>
+              <LengthInput
+                units={units}
+                value={art.width}
+                onChange={value => onUpdate(art.id, 'width', value)}
+                className="w-full px-3 py-2 border border-slate-200 rounded-lg focus:outline-none focus:border-slate-500"
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-600 mb-1">Height ({unitLabel})</label>
+              <LengthInput
+                units={units}
+                value={art.height}
+                onChange={value => onUpdate(art.id, 'height', value)}
+                className="w-full px-3 py-2 border border-slate-200 rounded-lg focus:outline-none focus:border-slate-500"
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-600 mb-1">Wall</label>
+              <select
+                value={art.wallId == null ? '' : art.wallId}
+                onChange={(e) => onUpdate(art.id, 'wallId', e.target.value === '' ? null : Number(e.target.value))}
+                className="w-full px-3 py-2 border border-slate-200 rounded-lg focus:outline-none focus:border-slate-500"
+              >
+                <option value="">Unassigned</option>
+                {walls.map(w => (
+                  <option key={w.id} value={w.id}>{w.name}</option>
+                ))}
+              </select>
+            </div>
+            <button
+              onClick={() => onRemove(art.id)}
+              className="mb-2 text-red-600 hover:text-red-700 transition-colors justify-self-start"
+            >
+              <div className="w-4 h-4"><Trash2 /></div>
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Saved pieces shared by every room; using one copies its measurements onto this wall.
+const ArtworkLibrary = ({ library, units, onUse, onRemove }) => (
+  <details className="mt-4 p-4 bg-emerald-50 rounded-lg">
+    <summary className="font-semibold text-gray-800 cursor-pointer">Artwork Library ({library.length})</summary>
+    <p className="text-sm text-gray-600 mt-2">
+      Pieces saved from an artwork card, with their measurements and photo, are available in every room.
+    </p>
+    {library.length === 0 ? (
+      <p className="text-sm text-gray-500 mt-3">Nothing saved yet.</p>
+    ) : (
+      <div className="grid md:grid-cols-2 gap-3 mt-3">
+        {library.map(entry => (
+          <div key={entry.id} className="flex items-center gap-3 bg-white rounded-lg border border-emerald-200 p-2">
+            <Thumbnail art={entry} size="w-12 h-12" />
+            <div className="flex-1 min-w-0">
+              <p className="text-sm font-semibold text-gray-800 truncate">{entry.title || 'Untitled'}</p>
+              <p className="text-xs text-gray-500 truncate">
+                {[
+                  entry.artist,
+                  `${formatLength(entry.width || 0, units)} × ${formatLength(entry.height || 0, units)}`,
+                  entry.weight > 0 ? formatWeight(entry.weight, units) : null
+                ]
+                  .filter(Boolean)
+                  .join(' · ')}
+              </p>
+            </div>
+            <button
+              onClick={() => onUse(entry)}
+              className="px-3 py-1 bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 transition-colors text-sm"
+            >
+              Add to wall
+            </button>
+            <button onClick={() => onRemove(entry.id)} className="text-red-600 hover:text-red-700 transition-colors">
+              <div className="w-4 h-4"><Trash2 /></div>
+            </button>
+          </div>
+        ))}
+      </div>
+    )}
+  </details>
+);
+
+// The fastener rules behind the hardware recommendations, shared by every room.
+const HardwareRulesTable = ({ rules, units, substrate, onChange }) => {
+  const update = (id, field, value) => onChange(rules.map(rule => (rule.id === id ? { ...rule, [field]: value } : rule)));
+  const inputClass = 'w-full px-2 py-1 border border-slate-200 rounded-lg text-sm focus:outline-none focus:border-slate-500';
+
+  return (
+    <details className="mt-8 p-4 bg-slate-50 rounded-lg">
+      <summary className="font-semibold text-gray-800 cursor-pointer">Hardware Rules ({rules.length})</summary>
+      <p className="text-sm text-gray-600 mt-2">
+        The first rule for the wall material whose fasteners hold the load is recommended, so list lighter fasteners first.
+        Ratings are per fastener; check them against the packaging of what you use.
+      </p>
+      <table className="w-full text-sm mt-3">
+        <thead>
+          <tr className="text-left text-xs text-gray-600">
+            <th className="py-1 pr-2">Wall material</th>
+            <th className="py-1 pr-2">Fastener</th>
+            <th className="py-1 pr-2">Rated load ({weightUnit(units)})</th>
+            <th className="py-1 pr-2">Most per point</th>
+            <th className="py-1" />
+          </tr>
+        </thead>
+        <tbody>
+          {rules.map(rule => (
+            <tr key={rule.id}>
+              <td className="py-1 pr-2">
+                <select value={rule.substrate} onChange={(e) => update(rule.id, 'substrate', e.target.value)} className={inputClass}>
+                  {Object.entries(HardwareRules.SUBSTRATES).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </td>
+              <td className="py-1 pr-2">
+                <input
+                  type="text"
+                  value={rule.fastener}
+                  onChange={(e) => update(rule.id, 'fastener', e.target.value)}
+                  className={inputClass}
+                />
+              </td>
+              <td className="py-1 pr-2">
+                <WeightInput units={units} value={rule.capacity} onChange={value => update(rule.id, 'capacity', value)} className={inputClass} />
+              </td>
+              <td className="py-1 pr-2">
+                <input
+                  type="number"
+                  min="1"
+                  value={rule.maxCount}
+                  onChange={(e) => update(rule.id, 'maxCount', parseInt(e.target.value) || 1)}
+                  className={inputClass}
+                />
+              </td>
+              <td className="py-1">
+                <button onClick={() => onChange(rules.filter(r => r.id !== rule.id))} className="text-red-600 hover:text-red-700 transition-colors">
+                  <div className="w-4 h-4"><Trash2 /></div>
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="flex gap-2 mt-3">
+        <button
+          onClick={() => onChange([...rules, HardwareRules.newRule(substrate)])}
+          className="px-3 py-1 bg-slate-600 text-white rounded-lg hover:bg-slate-700 transition-colors text-sm"
+        >
+          Add rule
+        </button>
+        <button
+          onClick={() => window.confirm('Replace the rules with the built-in ones?') && onChange(HardwareRules.DEFAULT_RULES)}
+          className="px-3 py-1 bg-white text-gray-700 rounded-lg hover:bg-gray-100 transition-colors text-sm"
+        >
+          Restore defaults
+        </button>
+      </div>
+    </details>
+  );
+};
+
+// Matches the columns of a loaded CSV file to artwork fields before anything is added.
+const CsvImport = ({ file, units, onMappingChange, onImport, onCancel }) => {
+  const { artworks, errors } = ArtCsv.importArtworks(file.headers, file.rows, file.mapping, units);
+
+  return (
+    <div className="mt-4 p-4 bg-green-50 rounded-lg border-2 border-green-200">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="font-semibold text-gray-800">Import {file.name}</h3>
+        <button onClick={onCancel} className="text-sm text-gray-600 hover:text-gray-800">Cancel</button>
+      </div>
+      <p className="text-sm text-gray-600 mb-3">
+        Choose the artwork field for each column. Lengths without a unit are read in the unit named in the column header,
+        otherwise in {UNITS[units].label}.
+      </p>
+      <div className="grid md:grid-cols-3 gap-3">
+        {file.headers.map((header, column) => (
+          <div key={column}>
+            <label className="block text-xs font-medium text-gray-600 mb-1 truncate">
+              {header || `Column ${column + 1}`}
+            </label>
+            <select
+              value={file.mapping[column]}
+              onChange={(e) => onMappingChange(file.mapping.map((field, c) => (c === column ? e.target.value : field)))}
+              className="w-full px-2 py-1 border-2 border-green-200 rounded-lg text-sm focus:outline-none focus:border-green-500"
+            >
+              <option value="">Ignore</option>
+              {Object.entries(ArtCsv.IMPORT_FIELDS).map(([field, { label }]) => (
+                <option key={field} value={field}>{label}</option>
+              ))}
+            </select>
+          </div>
+        ))}
+      </div>
+      {errors.length > 0 && (
+        <div className="mt-3 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          <p className="font-semibold mb-1">
+            {errors.length} of {file.rows.length} rows will be skipped:
+          </p>
+          <ul className="space-y-1">
+            {errors.map(({ row, messages }) => (
+              <li key={row}>Row {row}: {messages.join('; ')}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+      <button
+        onClick={() => onImport(artworks)}
+        disabled={artworks.length === 0}
+        className="mt-3 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50"
+      >
+        Import {artworks.length} {artworks.length === 1 ? 'artwork' : 'artworks'}
+      </button>
+    </div>
+  );
+};
+
+// Printable area of each paper size once page margins are taken off.
+const PAPER_SIZES = {
+  letter: { label: 'Letter', size: 'letter', margin: '0.5in', width: 7.5, height: 10, unit: 'inches' },
+  a4: { label: 'A4', size: 'A4', margin: '1cm', width: 19, height: 27.7, unit: 'cm' }
+};
+
+const referenceLabel = result => `${result.horizontalFromEdge} edge`;
+
+// What a wall's heights are measured from, for the printed sheet.
+const describeDatum = (datum, units) => {
+  const where = datum.level
+    ? ` (a level line ${formatLength(datum.offset, units)} above the floor line)`
+    : datum.offset !== 0
+      ? ` (${formatLength(datum.offset, units)} above the floor)`
+      : '';
+  const floor =
+    !datum.level && (datum.floorLeft !== 0 || datum.floorRight !== 0)
+      ? `, allowing for the floor at ${formatLength(datum.floorLeft, units)} at the left end and ${formatLength(
+          datum.floorRight,
+          units
+        )} at the right end against a level line`
+      : '';
+  return `Heights are measured from ${datum.name || 'floor'}${where}${floor}.`;
+};
+
+// "61 1/4" above top of baseboard", or below a datum that is higher than the nail.
+const heightLabel = (nail, result, units) =>
+  `${formatLength(Math.abs(nail.fromDatum), units)} ${nail.fromDatum < 0 ? 'below' : 'above'} ${result.verticalFrom}`;
+
+// "12.5cm left of Fireplace center" for a nail relative to the group anchor.
+const describeAnchorOffset = (nail, anchor, units) => {
+  const offset = nail.x - anchor.x;
+  if (Math.abs(offset) < 0.005) return `On ${anchor.label}`;
+  return `${formatLength(Math.abs(offset), units)} ${offset < 0 ? 'left' : 'right'} of ${anchor.label}`;
+};
+
+const HANGER_FIELD = ['hangerOffset', 'Hanger Offset', "Distance nail is above the hardware's rest point"];
+const RAIL_FIELDS = name => [
+  ['railLength', `${name} Length`, 'Length of the rail fixed to the wall'],
+  ['railOffset', name === 'Cleat' ? 'Lip Offset' : 'Rail Offset', 'Distance from top edge to the top of the wall rail when hung'],
+  ['screwSpacing', 'Max Screw Spacing', 'Screws are spread evenly, no further apart than this']
+];
+
+// Artwork card fields for each mounting type: [field, label, hint].
+const MOUNTING_OPTIONS = {
+  wire: {
+    label: 'Wire',
+    fields: [['wireOffset', 'Wire Offset', 'Distance from top to wire when taut'], HANGER_FIELD]
+  },
+  wireLength: {
+    label: 'Wire (from length)',
+    fields: [
+      ['wireLength', 'Wire Length', 'Length of wire between the two attachment points'],
+      ['wireAttachDrop', 'Attachment Drop', 'Distance from top edge to the wire attachments'],
+      ['wireAttachInset', 'Attachment Inset', 'Distance from side edge to each attachment'],
+      ['wireNailSpacing', 'Nail Spacing', 'Distance between two nails; 0 for one centered nail'],
+      HANGER_FIELD
+    ]
+  },
+  dring: {
+    label: 'D-Ring / Side Mounts',
+    fields: [
+      ['mountingVerticalOffset', 'Vertical Offset', 'Distance from top edge to mount'],
+      ['mountingHorizontalOffset', 'Horizontal Offset', 'Distance from side edge to mount'],
+      HANGER_FIELD
+    ]
+  },
+  centerDring: {
+    label: 'Single Center D-Ring',
+    fields: [['mountingVerticalOffset', 'Vertical Offset', 'Distance from top edge to the D-ring'], HANGER_FIELD]
+  },
+  sawtooth: {
+    label: 'Sawtooth Hanger',
+    fields: [['sawtoothOffset', 'Sawtooth Offset', 'Distance from top edge to the teeth'], HANGER_FIELD]
+  },
+  keyhole: {
+    label: 'Keyhole',
+    fields: [
+      ['keyholeOffset', 'Keyhole Offset', 'Distance from top edge to where the screw head rests'],
+      ['keyholeSpacing', 'Keyhole Spacing', 'Center to center for two keyholes; 0 for one centered keyhole'],
+      ['hangerOffset', 'Screw Offset', 'Distance screw sits above the keyhole rest point']
+    ]
+  },
+  cleat: { label: 'French Cleat', fields: RAIL_FIELDS('Cleat') },
+  zbar: { label: 'Z-Bar', fields: RAIL_FIELDS('Z-Bar') }
+};
+
+// "French Cleat: 3 screws; cleat length 60.0cm, ..." for the installation sheet.
+const hardwareSummary = (art, result, units) => {
+  const option = MOUNTING_OPTIONS[result.mountingType];
+  const noun = /screw/i.test(result.nails[0].label) ? 'screw' : 'nail';
+  const count = `${result.nails.length} ${noun}${result.nails.length > 1 ? 's' : ''}`;
+  const fields = option.fields.map(([field, label]) => `${label.toLowerCase()} ${formatLength(art[field] || 0, units)}`);
+  return `${option.label}: ${count}; ${fields.join(', ')}`;
+};
+
+// The fasteners to use at each of the artwork's hanging points in this wall material: { text, over }
+// where over marks a load heavier than any rule for the material can carry.
+const fastenerAdvice = (art, result, substrate, rules, units) => {
+  const points = result.nails.length;
+  const material = HardwareRules.SUBSTRATES[substrate].toLowerCase();
+  const advice = HardwareRules.recommend(art.weight, points, substrate, rules);
+  if (!(art.weight > 0)) return { text: 'Enter the weight for a fastener recommendation', over: false };
+  if (!advice) return { text: `No hardware rules for ${material}`, over: false };
+
+  const where = points > 1 ? `Each of the ${points} hanging points` : 'The hanging point';
+  const fasteners = `${advice.count} × ${advice.rule.fastener}`;
+  return advice.over
+    ? {
+        text: `${where} carries ${formatWeight(advice.load, units)}, more than ${fasteners} are rated for (${formatWeight(
+          advice.capacity,
+          units
+        )}); no fastener for ${material} in the rules is strong enough`,
+        over: true
+      }
+    : {
+        text: `${where}: ${fasteners} in ${material}, rated ${formatWeight(advice.capacity, units)} for ${formatWeight(advice.load, units)}`,
+        over: false
+      };
+};
+
+const describeConflict = conflict =>
+  conflict.kind === 'frame'
+    ? `Frame overlaps ${conflict.name} or its clearance`
+    : `${conflict.label} is inside ${conflict.name} or its clearance`;
+
+// "Nails are below the floor by 3/4"" for a validation issue.
+const describeIssue = (issue, units) =>
+  issue.amount != null ? `${issue.message} by ${formatLength(issue.amount, units)}` : issue.message;
+
+// Inline validation messages under a field or on an artwork card.
+const IssueList = ({ issues, units }) =>
+  issues.map((issue, i) => (
+    <p key={i} className={`text-xs font-medium mt-1 ${issue.level === 'error' ? 'text-red-600' : 'text-amber-600'}`}>
+      {issue.level === 'error' ? '✖' : '⚠'} {describeIssue(issue, units)}
+    </p>
+  ));
+
+const INSTALLATION_CHECKLIST = [
+  'Wall width measured and matches the plan',
+  'Floor checked for level at each nail position',
+  'Walls checked for pipes, wiring and studs behind each nail',
+  'Every nail position marked and re-measured',
+  'Hardware rated for each artwork weight',
+  'Each artwork hung and leveled'
+];
+
+const InstallationSheet = ({
+  projectName,
+  wallWidth,
+  targetCentroid,
+  heightSource,
+  datum,
+  results,
+  artworks,
+  obstacles,
+  conflicts,
+  issues,
+  furniture,
+  substrate,
+  hardwareRules,
+  units
+}) => {
+  const nails = listNails(results);
+  const nameOf = id => {
+    const index = artworks.findIndex(art => art.id === id);
+    return artworkName(artworks[index], index);
+  };
+
+  return (
+    <div className="space-y-6 text-gray-900">
+      <div>
+        <h1 className="text-2xl font-bold">Installation Sheet: {projectName}</h1>
+        <p className="text-sm text-gray-600">
+          Wall width {formatLength(wallWidth, units)}; centred {formatLength(targetCentroid, units)} from floor
+          {heightSource ? ` (${heightSource})` : ''}. {describeDatum(datum, units)} All measurements in {UNITS[units].name}.
+        </p>
+      </div>
+
+      <WallPreview
+        wallWidth={wallWidth}
+        targetCentroid={targetCentroid}
+        results={results}
+        units={units}
+        obstacles={obstacles}
+        conflicts={conflicts}
+        furniture={furniture}
+        artworks={artworks}
+      />
+
+      {issues.length > 0 && (
+        <ul className="text-sm text-red-700 border-2 border-red-500 rounded p-3">
+          {issues.map((issue, i) => (
+            <li key={i}>
+              {issue.level === 'error' ? '✖' : '⚠'} {issue.artworkId != null ? `${nameOf(issue.artworkId)}: ` : ''}
+              {describeIssue(issue, units)}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {conflicts.length > 0 && (
+        <ul className="text-sm text-red-700 border border-red-300 rounded p-3">
+          {conflicts.map((conflict, i) => (
+            <li key={i}>
+              ⚠ {results.find(r => r.id === conflict.id).name}: {describeConflict(conflict)}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <table className="w-full text-sm border-collapse">
+        <thead>
+          <tr className="border-b-2 border-gray-800 text-left">
+            <th className="py-1 pr-2">#</th>
+            <th className="py-1 pr-2">Artwork</th>
+            <th className="py-1 pr-2">Nail</th>
+            <th className="py-1 pr-2">Height</th>
+            <th className="py-1 pr-2">Horizontal distance</th>
+            <th className="py-1 pr-2">Measured from</th>
+            <th className="py-1">Done</th>
+          </tr>
+        </thead>
+        <tbody>
+          {nails.map(nail => (
+            <tr key={nail.number} className="border-b border-gray-300">
+              <td className="py-1 pr-2 font-bold">{nail.number}</td>
+              <td className="py-1 pr-2">
+                {nail.placement.name}
+                {nail.placement.position ? ` (${nail.placement.position})` : ''}
+              </td>
+              <td className="py-1 pr-2">{nail.label}</td>
+              <td className="py-1 pr-2">{heightLabel(nail, nail.placement, units)}</td>
+              <td className="py-1 pr-2">{formatLength(nail.distance, units)}</td>
+              <td className="py-1 pr-2">{referenceLabel(nail.placement)}</td>
+              <td className="py-1">☐</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div style={{ breakInside: 'avoid' }}>
+        <h2 className="text-lg font-semibold mb-2">Hardware</h2>
+        <ul className="text-sm space-y-1">
+          {results.map(result => {
+            const art = artworks[result.index];
+            const advice = fastenerAdvice(art, result, substrate, hardwareRules, units);
+            return (
+              <li key={result.id}>
+                <strong>{result.name}</strong>
+                {art.weight > 0 ? ` (${formatWeight(art.weight, units)})` : ''}: {hardwareSummary(art, result, units)}
+                <br />
+                <span className={advice.over ? 'font-semibold text-red-700' : ''}>
+                  {advice.over ? '⚠ ' : ''}
+                  {advice.text}
+                </span>
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+
+      <div style={{ breakInside: 'avoid' }}>
+        <h2 className="text-lg font-semibold mb-2">Sign-off</h2>
+        <ul className="text-sm space-y-1 mb-4">
+          {INSTALLATION_CHECKLIST.map(item => (
+            <li key={item}>☐ {item}</li>
+          ))}
+        </ul>
+        <div className="grid grid-cols-3 gap-6 text-sm">
+          {['Installer', 'Date', 'Signature'].map(label => (
+            <div key={label} className="border-b border-gray-800 pt-6">{label}</div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// [start, end) ranges that cover `length` in pieces no longer than `tile`.
+const tileRanges = (length, tile) => {
+  const ranges = [];
+  for (let start = 0; start < length; start += tile) ranges.push([start, Math.min(start + tile, length)]);
+  return ranges.length > 0 ? ranges : [[0, 0]];
+};
+
+// 1:1 paper templates, one page per tile. Coordinates are centimetres from the frame's top-left corner.
+const NailTemplates = ({ results, units, paper }) => {
+  const sheet = PAPER_SIZES[paper];
+  const tileWidth = fromUnit(sheet.width, sheet.unit);
+  const tileHeight = fromUnit(sheet.height, sheet.unit);
+  const font = 0.5;
+
+  return (
+    <div>
+      {results.map(result => {
+        const frameWidth = result.frame.right - result.frame.left;
+        const frameHeight = result.frame.top - result.frame.bottom;
+        const holes = result.nails.map(nail => ({
+          ...nail,
+          fx: nail.x - result.frame.left,
+          fy: result.frame.top - nail.y
+        }));
+        const columns = tileRanges(frameWidth, tileWidth);
+        const rows = tileRanges(frameHeight, tileHeight);
+
+        return rows.map(([y0, y1], r) =>
+          columns.map(([x0, x1], c) => (
+            <div key={`${result.id}-${r}-${c}`} style={{ breakAfter: 'page' }}>
+              <svg
+                width={`${x1 - x0}cm`}
+                height={`${y1 - y0}cm`}
+                viewBox={`${x0} ${y0} ${x1 - x0} ${y1 - y0}`}
+                fontFamily="ui-sans-serif, system-ui"
+              >
+                <rect x={0} y={0} width={frameWidth} height={frameHeight} fill="none" stroke="#000" strokeWidth={font / 5} />
+                <rect
+                  x={x0}
+                  y={y0}
+                  width={x1 - x0}
+                  height={y1 - y0}
+                  fill="none"
+                  stroke="#999"
+                  strokeWidth={font / 10}
+                  strokeDasharray={`${font / 2} ${font / 2}`}
+                />
+                <text x={x0 + font} y={y0 + font * 2} fontSize={font}>
+                  {result.name} · sheet {r * columns.length + c + 1} of {rows.length * columns.length} (row {r + 1},
+                  column {c + 1}) · frame {formatLength(frameWidth, units)} × {formatLength(frameHeight, units)}
+                </text>
+                {result.rail && (
+                  <line
+                    x1={result.rail.left - result.frame.left}
+                    x2={result.rail.right - result.frame.left}
+                    y1={result.frame.top - result.rail.y}
+                    y2={result.frame.top - result.rail.y}
+                    stroke="#2563eb"
+                    strokeWidth={font / 5}
+                  />
+                )}
+                {holes.map(hole => (
+                  <g key={hole.side}>
+                    <circle cx={hole.fx} cy={hole.fy} r={font * 0.6} fill="none" stroke="#dc2626" strokeWidth={font / 8} />
+                    <line x1={hole.fx - font * 1.5} x2={hole.fx + font * 1.5} y1={hole.fy} y2={hole.fy} stroke="#dc2626" strokeWidth={font / 12} />
+                    <line x1={hole.fx} x2={hole.fx} y1={hole.fy - font * 1.5} y2={hole.fy + font * 1.5} stroke="#dc2626" strokeWidth={font / 12} />
+                    <text x={hole.fx + font} y={hole.fy - font} fontSize={font} fill="#dc2626">
+                      {hole.label}: {heightLabel(hole, result, units)}, {formatLength(hole.distance, units)} from{' '}
+                      {result.horizontalFromEdge} edge
+                    </text>
+                  </g>
+                ))}
+              </svg>
+            </div>
+          ))
+        );
+      })}
+    </div>
+  );
+};
+
+// Ticked nails are remembered with their position, so a nail that moves comes back unticked.
+const nailKey = nail => `${nail.placement.id}:${nail.label}@${nail.x.toFixed(1)},${nail.y.toFixed(1)}`;
+
+// "12 3/8in right", or `same` when the offset rounds to nothing on the tape.
+const describeOffset = (cm, positive, negative, same, units) =>
+  roundToTape(Math.abs(cm), units) === 0 ? same : `${formatLength(Math.abs(cm), units)} ${cm > 0 ? positive : negative}`;
+
+// One nail at a time in installation order, each measured from the datum and edge, from the
+// nail before it and from a laser line, so long walls need no long tape runs. The laser line's
+// height is taken from the datum at the measuring edge and the line stays level from there.
+const InstallationGuide = ({ results, blocked, laserFrom, installation, units, onChange }) => {
+  const steps = installOrder(results);
+  const done = new Set(installation.done);
+  const firstOpen = steps.findIndex(nail => !done.has(nailKey(nail)));
+  const [selected, setSelected] = useState(null);
+  const current = Math.min(selected != null ? selected : Math.max(0, firstOpen), Math.max(0, steps.length - 1));
+  const nail = steps[current];
+  const doneCount = steps.filter(n => done.has(nailKey(n))).length;
+
+  const toggle = (n, goNext) => {
+    const key = nailKey(n);
+    onChange({
+      ...installation,
+      done: done.has(key) ? installation.done.filter(k => k !== key) : [...installation.done, key]
+    });
+    if (goNext) {
+      const next = steps.findIndex((s, i) => i > current && !done.has(nailKey(s)));
+      setSelected(next >= 0 ? next : null);
+    }
+  };
+
+  return (
+    <div className="mt-8 p-6 bg-indigo-50 rounded-xl">
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-800">Guided Installation</h2>
+          <p className="text-sm text-gray-600">
+            {doneCount} of {steps.length} nail{steps.length === 1 ? '' : 's'} up
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <label className="text-sm font-medium text-gray-700">Laser line height ({UNITS[units].label} above {laserFrom})</label>
+          <LengthInput
+            units={units}
+            value={installation.laserHeight}
+            onChange={laserHeight => onChange({ ...installation, laserHeight })}
+            className="w-28 px-3 py-1 border-2 border-indigo-200 rounded-lg focus:outline-none focus:border-indigo-500"
+          />
+          <button
+            onClick={() => {
+              onChange({ ...installation, done: [] });
+              setSelected(null);
+            }}
+            disabled={installation.done.length === 0}
+            className="px-3 py-1 bg-white text-gray-700 rounded-lg hover:bg-gray-100 transition-colors text-sm disabled:opacity-50"
+          >
+            Reset progress
+          </button>
+        </div>
+      </div>
+
+      {blocked || steps.length === 0 ? (
+        <p className="text-sm text-gray-600">
+          {blocked ? 'No measurements until the errors on this wall are fixed.' : 'No nails on this wall yet.'}
+        </p>
+      ) : (
+        <div className="grid md:grid-cols-2 gap-6">
+          <div className="bg-white rounded-lg border-2 border-indigo-200 p-4">
+            <p className="text-sm text-indigo-700 font-semibold">
+              Step {nail.step} of {steps.length}
+            </p>
+            <p className="text-lg font-semibold text-gray-800 mb-3">
+              {nail.placement.name}: {nail.label}
+            </p>
+            <dl className="text-sm space-y-2">
+              <div>
+                <dt className="font-medium text-gray-600">From the {nail.placement.verticalFrom} and wall edge</dt>
+                <dd className="text-gray-800">
+                  {heightLabel(nail, nail.placement, units)}, {formatLength(nail.distance, units)} from the{' '}
+                  {nail.placement.horizontalFromEdge} edge
+                </dd>
+              </div>
+              <div>
+                <dt className="font-medium text-gray-600">From the previous nail</dt>
+                <dd className="text-gray-800">
+                  {nail.fromPrevious
+                    ? `${describeOffset(nail.fromPrevious.dx, 'right', 'left', 'straight', units)}, ${describeOffset(
+                        nail.fromPrevious.dy,
+                        'up',
+                        'down',
+                        'same height',
+                        units
+                      )}`
+                    : `First nail: measure from the ${nail.placement.verticalFrom} and wall edge`}
+                </dd>
+              </div>
+              <div>
+                <dt className="font-medium text-gray-600">From the laser line</dt>
+                <dd className="text-gray-800">
+                  {describeOffset(nail.fromLevel - installation.laserHeight, 'above', 'below', 'on', units)} the line
+                </dd>
+              </div>
+            </dl>
+            <div className="flex flex-wrap gap-2 mt-4">
+              <button
+                onClick={() => setSelected(current - 1)}
+                disabled={current === 0}
+                className="px-3 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors text-sm disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <button
+                onClick={() => toggle(nail, !done.has(nailKey(nail)))}
+                className="px-3 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors text-sm"
+              >
+                {done.has(nailKey(nail)) ? 'Untick' : 'Done, next nail'}
+              </button>
+              <button
+                onClick={() => setSelected(current + 1)}
+                disabled={current === steps.length - 1}
+                className="px-3 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors text-sm disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+
+          <ol className="text-sm space-y-1">
+            {steps.map((n, i) => (
+              <li
+                key={nailKey(n)}
+                className={`flex items-center gap-2 px-2 py-1 rounded ${i === current ? 'bg-indigo-100' : ''}`}
+              >
+                <input type="checkbox" checked={done.has(nailKey(n))} onChange={() => toggle(n, false)} />
+                <button onClick={() => setSelected(i)} className="text-left flex-1 hover:underline">
+                  {n.step}. {n.placement.name}: {n.label}
+                  <span className="text-gray-500">
+                    {' '}({heightLabel(n, n.placement, units)}, {formatLength(n.distance, units)} from {n.placement.horizontalFromEdge})
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Every nail on every wall of the room, numbered per wall as on each wall's installation sheet.
+const RoomNailSummary = ({ walls, inventory, units }) => {
+  const rows = walls.map(w => {
+    const artworks = inventory.filter(art => art.wallId === w.id);
+    const plan = wallPlan(w, artworks);
+    const placements = computePlacements(plan);
+    const blocked = validatePlan(plan, placements).some(issue => issue.level === 'error');
+    return { wall: w, artworks, nails: listNails(placements), blocked };
+  });
+  const total = rows.reduce((sum, row) => sum + (row.blocked ? 0 : row.nails.length), 0);
+  const unassigned = inventory.filter(art => art.wallId == null).length;
+
+  return (
+    <div className="mb-8">
+      <h2 className="text-xl font-semibold text-gray-800 mb-2">Room Nail Summary</h2>
+      <p className="text-sm text-gray-600 mb-3">
+        {total} nail{total === 1 ? '' : 's'} on {walls.length} wall{walls.length === 1 ? '' : 's'}
+        {unassigned > 0 ? `; ${unassigned} piece${unassigned === 1 ? '' : 's'} not assigned to a wall` : ''}.
+      </p>
+      <table className="w-full text-sm border-collapse">
+        <thead>
+          <tr className="border-b-2 border-gray-300 text-left">
+            <th className="py-1 pr-2">Wall</th>
+            <th className="py-1 pr-2">#</th>
+            <th className="py-1 pr-2">Artwork</th>
+            <th className="py-1 pr-2">Nail</th>
+            <th className="py-1 pr-2">Height</th>
+            <th className="py-1 pr-2">Horizontal distance</th>
+            <th className="py-1">Measured from</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(({ wall, nails, blocked }) =>
+            nails.length === 0 || blocked ? (
+              <tr key={wall.id} className="border-b border-gray-200">
+                <td className="py-1 pr-2 font-medium">{wall.name}</td>
+                <td colSpan={6} className="py-1 text-gray-500">
+                  {blocked ? 'No measurements until the errors on this wall are fixed' : 'No artworks assigned'}
+                </td>
+              </tr>
+            ) : (
+              nails.map(nail => (
+                <tr key={`${wall.id}-${nail.number}`} className="border-b border-gray-200">
+                  <td className="py-1 pr-2 font-medium">{nail.number === 1 ? wall.name : ''}</td>
+                  <td className="py-1 pr-2">{nail.number}</td>
+                  <td className="py-1 pr-2">{nail.placement.name}</td>
+                  <td className="py-1 pr-2">{nail.label}</td>
+                  <td className="py-1 pr-2">{heightLabel(nail, nail.placement, units)}</td>
+                  <td className="py-1 pr-2">{formatLength(nail.distance, units)}</td>
+                  <td className="py-1">{referenceLabel(nail.placement)}</td>
+                </tr>
+              ))
+            )
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+const PrintView = ({ mode, paper, onPaperChange, onClose, children }) => (
+  <div className="min-h-screen bg-white p-6 print:p-0">
+    <style>{`@page { size: ${PAPER_SIZES[paper].size}; margin: ${PAPER_SIZES[paper].margin}; }`}</style>
+    <div className="flex flex-wrap items-center gap-3 mb-6 print:hidden">
+      <button onClick={onClose} className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 font-medium">
+        Back to calculator
+      </button>
+      <select
+        value={paper}
+        onChange={(e) => onPaperChange(e.target.value)}
+        className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-blue-500"
+      >
+        {Object.entries(PAPER_SIZES).map(([key, sheet]) => (
+          <option key={key} value={key}>{sheet.label}</option>
+        ))}
+      </select>
+      <button onClick={() => window.print()} className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium">
+        Print
+      </button>
+      {mode === 'templates' && (
+        <p className="text-sm text-gray-600 w-full">
+          Print at 100% scale ("Actual size"), then tape the sheets together along the dashed edges.
+        </p>
+      )}
+    </div>
+    {children}
+  </div>
+);
+
+const ArtHangingCalculator = () => {
+  const [sharedPlan] = useState(() => readSharedPlan(window.location.hash));
+  const [projects, setProjects] = useState(() => {
+    const stored = ProjectStore.loadProjects();
+    return sharedPlan.project ? [...stored, sharedPlan.project] : stored;
+  });
+  const [activeProjectId, setActiveProjectId] = useState(() =>
+    sharedPlan.project ? sharedPlan.project.id : ProjectStore.loadActiveProjectId(projects)
+  );
+  const [projectError, setProjectError] = useState(sharedPlan.error || '');
+  const [shareLink, setShareLink] = useState('');
+  const [printMode, setPrintMode] = useState(null);
+  const [paper, setPaper] = useState('letter');
+  const [suggestions, setSuggestions] = useState(null);
+  const [library, setLibrary] = useState(() => ArtLibrary.loadLibrary());
+  const [hardwareRules, setHardwareRules] = useState(() => HardwareRules.loadRules());
+  const [csvFile, setCsvFile] = useState(null);
+  const initialState = () => projects.find(p => p.id === activeProjectId).state;
+
+  const [units, setUnits] = useState(() => initialState().units);
+  const [walls, setWalls] = useState(() => initialState().walls);
+  const [activeWallId, setActiveWallId] = useState(() => initialState().activeWallId);
+  const [inventory, setInventory] = useState(() => initialState().artworks);
+
+  // Everything below edits the selected wall and the artworks assigned to it.
+  const wall = walls.find(w => w.id === activeWallId) || walls[0];
+  const { targetCentroid, wallWidth, configuration, layout, obstacles, furniture, reference, photo, installation, heightPolicy, substrate, datum } = wall;
+  const artworks = inventory.filter(art => art.wallId === wall.id);
+
+  // Setter for one field of the selected wall; takes a value or an updater, like useState's.
+  const wallSetter = field => value =>
+    setWalls(prev =>
+      prev.map(w => (w.id === wall.id ? { ...w, [field]: typeof value === 'function' ? value(w[field]) : value } : w))
+    );
+  const setTargetCentroid = wallSetter('targetCentroid');
+  const setWallWidth = wallSetter('wallWidth');
+  const setConfiguration = wallSetter('configuration');
+  const setLayout = wallSetter('layout');
+  const setObstacles = wallSetter('obstacles');
+  const setFurniture = wallSetter('furniture');
+  const setReference = wallSetter('reference');
+  const setPhoto = wallSetter('photo');
+  const setInstallation = wallSetter('installation');
+  const setHeightPolicy = wallSetter('heightPolicy');
+  const setSubstrate = wallSetter('substrate');
+  const setDatum = wallSetter('datum');
+
+  // Replaces the selected wall's artworks, keeping their place in the inventory.
+  const setArtworks = value =>
+    setInventory(prev => {
+      const current = prev.filter(art => art.wallId === wall.id);
+      const next = (typeof value === 'function' ? value(current) : value).map(art => ({ ...art, wallId: wall.id }));
+      const others = prev.filter(art => art.wallId !== wall.id);
+      const first = prev.findIndex(art => art.wallId === wall.id);
+      const at = first < 0 ? others.length : first;
+      return [...others.slice(0, at), ...next, ...others.slice(at)];
+    });
+
+  const projectState = {
+    units,
+    lengthUnit: 'cm',
+    walls,
+    activeWallId,
+    artworks: inventory
+  };
+
+  useEffect(() => {
+    setProjects(prev =>
+      prev.map(p =>
+        p.id === activeProjectId ? { ...p, state: projectState, updatedAt: new Date().toISOString() } : p
+      )
+    );
+  }, [units, walls, activeWallId, inventory]);
+
+  // Undo history of the open room. Snapshots are the project state objects themselves, which
+  // are never mutated. A switch of wall alone is not a step, but undo returns to the wall that
+  // was open when the change was made.
+  const history = useRef({ past: [], future: [], current: null, lastEdit: 0, restoring: false });
+  const [historySize, setHistorySize] = useState({ undo: 0, redo: 0 });
+
+  useEffect(() => {
+    const h = history.current;
+    const snapshot = { units, walls, activeWallId, artworks: inventory };
+    if (h.restoring) {
+      h.restoring = false;
+    } else if (h.current) {
+      const now = Date.now();
+      if (now - h.lastEdit > HISTORY_MERGE_MS) h.past = [...h.past, h.current].slice(-HISTORY_LIMIT);
+      h.lastEdit = now;
+      h.future = [];
+    }
+    h.current = snapshot;
+    setHistorySize({ undo: h.past.length, redo: h.future.length });
+  }, [units, walls, inventory]);
+
+  const restoreSnapshot = snapshot => {
+    const h = history.current;
+    // Without a change the recording effect will not run to clear the flag.
+    h.restoring = ['units', 'walls', 'artworks'].some(key => snapshot[key] !== h.current[key]);
+    h.lastEdit = 0;
+    h.current = snapshot;
+    setUnits(snapshot.units);
+    setWalls(snapshot.walls);
+    setActiveWallId(snapshot.activeWallId);
+    setInventory(snapshot.artworks);
+    setHistorySize({ undo: h.past.length, redo: h.future.length });
+  };
+
+  const undo = () => {
+    const h = history.current;
+    if (h.past.length === 0) return;
+    const previous = h.past[h.past.length - 1];
+    h.past = h.past.slice(0, -1);
+    h.future = [h.current, ...h.future];
+    restoreSnapshot(previous);
+  };
+
+  const redo = () => {
+    const h = history.current;
+    if (h.future.length === 0) return;
+    const [next, ...rest] = h.future;
+    h.future = rest;
+    h.past = [...h.past, h.current];
+    restoreSnapshot(next);
+  };
+
+  // Ctrl+Z / Cmd+Z undoes; adding Shift, or Ctrl+Y, redoes. The focused field is blurred first
+  // so it shows the restored value rather than what was typed.
+  useEffect(() => {
+    const onKeyDown = event => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+      const key = event.key.toLowerCase();
+      const action = key === 'z' ? (event.shiftKey ? redo : undo) : key === 'y' ? redo : null;
+      if (!action) return;
+      event.preventDefault();
+      if (document.activeElement && document.activeElement.blur) document.activeElement.blur();
+      action();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  // Reported once per run of failed saves, so the banner is not raised again on every edit.
+  const saveFailed = useRef(false);
+  useEffect(() => {
+    const saved = ProjectStore.saveProjects(projects);
+    if (!saved && !saveFailed.current) {
+      setProjectError(
+        'Could not save your rooms: the browser\'s storage is full. Changes will be lost when this page closes; remove a wall photo or use Export JSON to keep them.'
+      );
+    }
+    saveFailed.current = !saved;
+  }, [projects]);
+
+  useEffect(() => {
+    ProjectStore.saveActiveProjectId(activeProjectId);
+  }, [activeProjectId]);
+
+  const librarySaveFailed = useRef(false);
+  useEffect(() => {
+    const saved = ArtLibrary.saveLibrary(library);
+    if (!saved && !librarySaveFailed.current) {
+      setProjectError(
+        'Could not save your artwork library: the browser\'s storage is full. Changes will be lost when this page closes; remove a library photo or a wall photo to make room.'
+      );
+    }
+    librarySaveFailed.current = !saved;
+  }, [library]);
+
+  useEffect(() => {
+    HardwareRules.saveRules(hardwareRules);
+  }, [hardwareRules]);
+
+  // The plan now lives in a project, so drop it from the address bar to avoid re-importing on reload.
+  useEffect(() => {
+    if (sharedPlan.project || sharedPlan.error) {
+      window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    }
+  }, []);
+
+  useEffect(() => {
+    const onHashChange = () => {
+      const plan = readSharedPlan(window.location.hash);
+      if (plan.project) addProject(plan.project);
+      if (plan.error) setProjectError(plan.error);
+      if (plan.project || plan.error) {
+        window.history.replaceState(null, '', window.location.pathname + window.location.search);
+      }
+    };
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  }, []);
+
+  const openProject = project => {
+    const state = project.state;
+    setActiveProjectId(project.id);
+    setUnits(state.units);
+    setWalls(state.walls);
+    setActiveWallId(state.activeWallId);
+    setInventory(state.artworks);
+    // Each room has its own history.
+    history.current = { past: [], future: [], current: null, lastEdit: 0, restoring: false };
+    setProjectError('');
+    setShareLink('');
+    setSuggestions(null);
+  };
+
+  const addProject = project => {
+    setProjects(prev => [...prev, project]);
+    openProject(project);
+  };
+
+  const createNewProject = () => {
+    const name = window.prompt('Room name', `Room ${projects.length + 1}`);
+    if (name) addProject(ProjectStore.createProject(name.trim() || `Room ${projects.length + 1}`));
+  };
+
+  const renameProject = () => {
+    const current = projects.find(p => p.id === activeProjectId);
+    const name = window.prompt('Rename room', current.name);
+    if (name && name.trim()) {
+      setProjects(prev => prev.map(p => (p.id === activeProjectId ? { ...p, name: name.trim() } : p)));
+    }
+  };
+
+  const duplicateProject = () => {
+    const current = projects.find(p => p.id === activeProjectId);
+    addProject(ProjectStore.createProject(`${current.name} (copy)`, projectState));
+  };
+
+  const deleteProject = () => {
+    const current = projects.find(p => p.id === activeProjectId);
+    if (!window.confirm(`Delete "${current.name}"? This cannot be undone.`)) return;
+    const remaining = projects.filter(p => p.id !== activeProjectId);
+    const next = remaining.length > 0 ? remaining[0] : ProjectStore.createProject('My Room');
+    setProjects(remaining.length > 0 ? remaining : [next]);
+    openProject(next);
+  };
+
+  const exportProject = () => {
+    const current = projects.find(p => p.id === activeProjectId);
+    const blob = new Blob([ProjectStore.serializeProject({ ...current, state: projectState })], {
+      type: 'application/json'
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${current.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase() || 'project'}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const copyShareLink = () => {
+    let link;
+    try {
+      link = SharePlan.planUrl(window.location, projectState);
+    } catch (err) {
+      setShareLink('');
+      setProjectError(`Could not make a share link: ${err.message}`);
+      return;
+    }
+    setShareLink(link);
+    if (navigator.clipboard) navigator.clipboard.writeText(link).catch(() => {});
+  };
+
+  const importProject = file => {
+    if (!file) return;
+    file
+      .text()
+      .then(text => addProject(ProjectStore.parseProjectFile(text)))
+      .catch(err => setProjectError(`Could not import ${file.name}: ${err.message}`));
+  };
+
+  const unitLabel = UNITS[units].label;
+
+  const addArtwork = () => {
+    setArtworks(prev => [...prev, { ...ProjectStore.defaultArtwork(), id: ProjectStore.nextId() }]);
+  };
+
+  const removeArtwork = id => {
+    setInventory(prev => prev.filter(art => art.id !== id));
+  };
+
+  const updateArtwork = (id, field, value) => {
+    setInventory(prev =>
+      prev.map(art =>
+        art.id === id
+          ? {
+              ...art,
+              [field]: value
+            }
+          : art
+      )
+    );
+  };
+
+  const moveArtwork = (id, centerX, centroid) => {
+    setArtworks(prev =>
+      prev.map(art =>
+        art.id === id ? { ...art, freeformX: roundToTape(centerX, units), freeformY: roundToTape(centroid, units) } : art
+      )
+    );
+  };
+
+  const addObstacle = () => {
+    setObstacles([...obstacles, { id: Date.now(), type: 'outlet', x: 0, y: 0, width: 0, height: 0, clearance: 0 }]);
+  };
+
+  const removeObstacle = id => {
+    setObstacles(obstacles.filter(obstacle => obstacle.id !== id));
+  };
+
+  const updateObstacle = (id, field, value) => {
+    setObstacles(
+      obstacles.map(obstacle =>
+        obstacle.id === id
+          ? { ...obstacle, [field]: value }
+          : obstacle
+      )
+    );
+  };
+
+  const addWall = () => {
+    const id = Math.max(0, ...walls.map(w => w.id)) + 1;
+    const name = window.prompt('Wall name', `Wall ${walls.length + 1}`);
+    if (name == null) return;
+    setWalls(prev => [...prev, ProjectStore.defaultWall(id, name.trim() || `Wall ${walls.length + 1}`)]);
+    setInventory(prev => [...prev, { ...ProjectStore.defaultArtwork(), id: ProjectStore.nextId(), wallId: id }]);
+    setActiveWallId(id);
+    setSuggestions(null);
+  };
+
+  const renameWall = () => {
+    const name = window.prompt('Rename wall', wall.name);
+    if (name && name.trim()) setWalls(prev => prev.map(w => (w.id === wall.id ? { ...w, name: name.trim() } : w)));
+  };
+
+  // The wall's artworks stay in the inventory, unassigned.
+  const deleteWall = () => {
+    if (walls.length < 2 || !window.confirm(`Delete "${wall.name}"? Its artworks stay in the inventory.`)) return;
+    const remaining = walls.filter(w => w.id !== wall.id);
+    setWalls(remaining);
+    setInventory(prev => prev.map(art => (art.wallId === wall.id ? { ...art, wallId: null } : art)));
+    setActiveWallId(remaining[0].id);
+    setSuggestions(null);
+  };
+
+  const selectWall = id => {
+    setActiveWallId(id);
+    setSuggestions(null);
+  };
+
+  // Creates the artwork's library entry, or updates the one it came from.
+  const saveToLibrary = art => {
+    const existing = library.find(entry => entry.id === art.libraryId);
+    const entry = ArtLibrary.entryFromArtwork(art, existing);
+    setLibrary(prev => (existing ? prev.map(e => (e.id === entry.id ? entry : e)) : [...prev, entry]));
+    if (!existing) updateArtwork(art.id, 'libraryId', entry.id);
+  };
+
+  // A single layout swaps its one artwork for the library piece; other layouts add it.
+  const hangLibraryEntry = entry => {
+    const piece = ArtLibrary.artworkFromEntry(entry);
+    if (configuration === 'single' && artworks.length > 0) {
+      setArtworks(prev => [{ ...prev[0], ...piece }, ...prev.slice(1)]);
+    } else {
+      setArtworks(prev => [...prev, { ...ProjectStore.defaultArtwork(), ...piece, id: ProjectStore.nextId() }]);
     }
-  ]);
+  };
 
-  const [layout, setLayout] = useState({
-    rows: 1,
-    cols: 1,
-    horizontalGap: 10,
-    verticalGap: 10
-  });
+  const removeLibraryEntry = id => {
+    setLibrary(prev => prev.filter(entry => entry.id !== id));
+  };
 
-  const unitLabel = units === 'cm' ? 'cm' : 'in';
+  const uploadThumbnail = (id, file) => {
+    if (!file) return;
+    ArtLibrary.makeThumbnail(file)
+      .then(thumbnail => updateArtwork(id, 'thumbnail', thumbnail))
+      .catch(err => setProjectError(`Could not use ${file.name}: ${err.message}`));
+  };
 
-  const toggleUnits = () => {
-    const newUnits = units === 'inches' ? 'cm' : 'inches';
-    const conversionFactor = newUnits === 'cm' ? 2.54 : 1 / 2.54;
+  const uploadWallPhoto = file => {
+    if (!file) return;
+    ArtLibrary.readImage(file, PHOTO_SIZE)
+      .then(image => setPhoto({ ...image, scalePoints: [], scaleDistance: 0, floorY: null, leftX: null }))
+      .catch(err => setProjectError(`Could not use ${file.name}: ${err.message}`));
+  };
 
-    setUnits(newUnits);
-    setTargetCentroid(prev => +(prev * conversionFactor).toFixed(1));
-    setWallWidth(prev => (prev === 0 ? 0 : +(prev * conversionFactor).toFixed(1)));
-    setArtworks(prev =>
-      prev.map(art => ({
-        ...art,
-        width: art.width === 0 ? 0 : +(art.width * conversionFactor).toFixed(1),
-        height: art.height === 0 ? 0 : +(art.height * conversionFactor).toFixed(1),
-        wireOffset: art.wireOffset === 0 ? 0 : +(art.wireOffset * conversionFactor).toFixed(1),
-        mountingVerticalOffset:
-          art.mountingVerticalOffset === 0 ? 0 : +(art.mountingVerticalOffset * conversionFactor).toFixed(1),
-        mountingHorizontalOffset:
-          art.mountingHorizontalOffset === 0 ? 0 : +(art.mountingHorizontalOffset * conversionFactor).toFixed(1),
-        hangerOffset: art.hangerOffset === 0 ? 0 : +(art.hangerOffset * conversionFactor).toFixed(1)
-      }))
-    );
-    setLayout(prev => ({
-      ...prev,
-      horizontalGap: +(prev.horizontalGap * conversionFactor).toFixed(1),
-      verticalGap: +(prev.verticalGap * conversionFactor).toFixed(1)
-    }));
+  const loadCsv = file => {
+    if (!file) return;
+    file
+      .text()
+      .then(text => {
+        const [headers, ...rows] = ArtCsv.parseCsv(text);
+        if (!headers || rows.length === 0) throw new Error('no rows below the header');
+        setCsvFile({ name: file.name, headers, rows, mapping: ArtCsv.guessMapping(headers) });
+      })
+      .catch(err => setProjectError(`Could not import ${file.name}: ${err.message}`));
   };
 
-  const addArtwork = () => {
-    setArtworks([
-      ...artworks,
-      {
-        id: Date.now(),
-        width: 0,
-        height: 0,
-        wireOffset: 0,
-        mountingType: 'wire',
-        mountingVerticalOffset: 0,
-        mountingHorizontalOffset: 0,
-        hangerOffset: 2.54
-      }
-    ]);
+  // Imported pieces join the wall, taking the place of a still-blank first artwork.
+  const importCsvArtworks = pieces => {
+    const blank = artworks.length === 1 && !artworks[0].width && !artworks[0].height && !artworks[0].title;
+    const kept = blank ? [] : artworks;
+    setArtworks([...kept, ...pieces.map(piece => ({ ...ProjectStore.defaultArtwork(), ...piece, id: ProjectStore.nextId() }))]);
+    if (configuration === 'single' && kept.length + pieces.length > 1) setConfiguration('horizontal');
+    setCsvFile(null);
   };
 
-  const removeArtwork = id => {
-    if (artworks.length > 1) {
-      setArtworks(artworks.filter(art => art.id !== id));
-    }
+  const exportResultsCsv = () => {
+    if (errors.length > 0) return;
+    const blob = new Blob([ArtCsv.resultsCsv(results, { units, wallName: wall.name })], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${wall.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase() || 'wall'}-nails.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
   };
 
-  const updateArtwork = (id, field, value) => {
-    setArtworks(
-      artworks.map(art =>
-        art.id === id
-          ? {
-              ...art,
-              [field]: value === '' ? 0 : field === 'mountingType' ? value : parseFloat(value) || 0
-            }
-          : art
-      )
-    );
+  const addToInventory = () => {
+    setInventory(prev => [...prev, { ...ProjectStore.defaultArtwork(), id: ProjectStore.nextId(), wallId: null }]);
   };
 
-  const calculateNailPosition = () => {
-    if (configuration === 'single') {
-      const art = artworks[0];
-      const artCentroid = art.height / 2;
-
-      if (art.mountingType === 'dring') {
-        const mountingPointHeight = art.height - (art.mountingVerticalOffset || 0);
-        const nailHeight = targetCentroid + artCentroid - mountingPointHeight + (art.hangerOffset || 0);
-        const horizontalCenter = wallWidth / 2;
-        const leftNailX = horizontalCenter - (art.width / 2) + (art.mountingHorizontalOffset || 0);
-        const rightNailX = horizontalCenter + (art.width / 2) - (art.mountingHorizontalOffset || 0);
-
-        return [
-          {
-            artwork: 1,
-            nailHeight: nailHeight.toFixed(2),
-            centroid: targetCentroid.toFixed(2),
-            horizontalDistance: leftNailX.toFixed(2),
-            horizontalDistance2: rightNailX.toFixed(2),
-            horizontalFromEdge: 'left',
-            isDRing: true,
-            equation: `Mounting Point Height = ${art.height.toFixed(2)} - ${(art.mountingVerticalOffset || 0).toFixed(
-              2
-            )} = ${mountingPointHeight.toFixed(2)}; Nail Height = ${targetCentroid.toFixed(2)} + (${art.height.toFixed(
-              2
-            )} / 2) - ${mountingPointHeight.toFixed(2)} + ${(art.hangerOffset || 0).toFixed(2)} = ${nailHeight.toFixed(
-              2
-            )}${unitLabel}`,
-            horizontalEquation: `Wall Center = ${wallWidth.toFixed(2)} / 2 = ${horizontalCenter.toFixed(
-              2
-            )}; Left Nail = ${horizontalCenter.toFixed(2)} - ${(art.width / 2).toFixed(2)} + ${(
-              art.mountingHorizontalOffset || 0
-            ).toFixed(2)} = ${leftNailX.toFixed(2)}; Right Nail = ${horizontalCenter.toFixed(2)} + ${(
-              art.width / 2
-            ).toFixed(2)} - ${(art.mountingHorizontalOffset || 0).toFixed(2)} = ${rightNailX.toFixed(2)}${unitLabel}`
-          }
-        ];
-      } else {
-        const nailHeight = targetCentroid + artCentroid - art.wireOffset + (art.hangerOffset || 0);
-        const horizontalCenter = wallWidth / 2;
-
-        return [
-          {
-            artwork: 1,
-            nailHeight: nailHeight.toFixed(2),
-            centroid: targetCentroid.toFixed(2),
-            horizontalDistance: horizontalCenter.toFixed(2),
-            horizontalFromEdge: 'center',
-            isDRing: false,
-            equation: `Nail Height = ${targetCentroid.toFixed(2)} + (${art.height.toFixed(2)} / 2) - ${art.wireOffset.toFixed(
-              2
-            )} + ${(art.hangerOffset || 0).toFixed(2)} = ${nailHeight.toFixed(2)}${unitLabel}`,
-            horizontalEquation: `Horizontal = ${wallWidth.toFixed(2)} / 2 = ${horizontalCenter.toFixed(2)}${unitLabel}`
-          }
-        ];
-      }
-    }
+  const plan = wallPlan(wall, artworks);
+  const results = computePlacements(plan);
+  const conflicts = findConflicts(results, obstacles);
+  const issues = validatePlan(plan, results);
+  // Vertical measurements are read from the wall's datum, the floor unless it is renamed.
+  const datumName = datum.name || 'floor';
+  // Any error leaves some numbers meaningless, so nothing is printed or exported until it is fixed.
+  const errors = issues.filter(issue => issue.level === 'error');
+  // Wall and layout issues have no artworkId; artwork-wide ones have field null.
+  const issuesFor = (field, artworkId) => issues.filter(issue => issue.field === field && issue.artworkId === artworkId);
+  // The group anchor only applies when furniture is not setting the position.
+  const activeAnchor =
+    reference.anchorEnabled && !furniture.enabled
+      ? { x: reference.edge === 'right' ? wallWidth - reference.anchorX : reference.anchorX, label: reference.anchorLabel || 'anchor' }
+      : null;
 
-    if (configuration === 'custom') {
-      const { rows, cols, horizontalGap, verticalGap } = layout;
-      const results = [];
-
-      const colWidths = [];
-      for (let c = 0; c < cols; c++) {
-        const colArtworks = artworks.filter((_, i) => i % cols === c && i < rows * cols);
-        if (colArtworks.length > 0) {
-          const maxWidth = Math.max(...colArtworks.map(a => a.width || 0));
-          colWidths.push(maxWidth);
-        }
-      }
-      const totalWidth = colWidths.reduce((sum, w) => sum + w, 0) + (cols - 1) * (horizontalGap || 0);
-      const gridStartX = (wallWidth - totalWidth) / 2;
-
-      let artIndex = 0;
-      for (let row = 0; row < rows; row++) {
-        for (let col = 0; col < cols; col++) {
-          if (artIndex >= artworks.length) break;
-
-          const art = artworks[artIndex];
-
-          const totalHeight = artworks
-            .filter((_, i) => Math.floor(i / cols) < rows)
-            .reduce((sum, a, i) => {
-              const r = Math.floor(i / cols);
-              if (i % cols === 0) {
-                return sum + (a.height || 0) + (r > 0 ? (verticalGap || 0) : 0);
-              }
-              return sum;
-            }, 0);
-
-          const rowHeights = [];
-          for (let r = 0; r < rows; r++) {
-            const rowStart = r * cols;
-            const rowEnd = Math.min(rowStart + cols, artworks.length);
-            if (rowStart < artworks.length) {
-              const maxHeight = Math.max(...artworks.slice(rowStart, rowEnd).map(a => a.height || 0));
-              rowHeights.push(maxHeight);
-            }
-          }
-
-          const heightAbove = rowHeights.slice(0, row).reduce((s, h) => s + h, 0) + row * (verticalGap || 0);
-          const artCentroid = heightAbove + (art.height || 0) / 2;
-
-          const gridCentroid = totalHeight / 2;
-          const offset = targetCentroid - gridCentroid;
-
-          const actualCentroid = artCentroid + offset;
-
-          const widthToLeft = colWidths.slice(0, col).reduce((sum, w) => sum + w, 0) + col * (horizontalGap || 0);
-          const artCenterX = gridStartX + widthToLeft + (art.width || 0) / 2;
-
-          if (art.mountingType === 'dring') {
-            const mountingPointHeight = (art.height || 0) - (art.mountingVerticalOffset || 0);
-            const nailHeight = actualCentroid + (art.height || 0) / 2 - mountingPointHeight + (art.hangerOffset || 0);
-            const leftNailX = artCenterX - (art.width || 0) / 2 + (art.mountingHorizontalOffset || 0);
-            const rightNailX = artCenterX + (art.width || 0) / 2 - (art.mountingHorizontalOffset || 0);
-
-            results.push({
-              artwork: artIndex + 1,
-              position: `Row ${row + 1}, Col ${col + 1}`,
-              nailHeight: nailHeight.toFixed(2),
-              centroid: actualCentroid.toFixed(2),
-              horizontalDistance: leftNailX.toFixed(2),
-              horizontalDistance2: rightNailX.toFixed(2),
-              horizontalFromEdge: 'left',
-              isDRing: true,
-              equation: `Grid offset = ${offset.toFixed(2)}; Art centroid = ${actualCentroid.toFixed(
-                2
-              )}; Mount height = ${mountingPointHeight.toFixed(2)}; Nail = ${actualCentroid.toFixed(2)} + ${(
-                (art.height || 0) / 2
-              ).toFixed(2)} - ${mountingPointHeight.toFixed(2)} + ${(art.hangerOffset || 0).toFixed(2)} = ${nailHeight.toFixed(
-                2
-              )}${unitLabel}`,
-              horizontalEquation: `Art center = ${artCenterX.toFixed(2)}; Left = ${artCenterX.toFixed(2)} - ${(
-                (art.width || 0) / 2
-              ).toFixed(2)} + ${(art.mountingHorizontalOffset || 0).toFixed(2)} = ${leftNailX.toFixed(
-                2
-              )}; Right = ${artCenterX.toFixed(2)} + ${(((art.width || 0) / 2)).toFixed(2)} - ${(
-                art.mountingHorizontalOffset || 0
-              ).toFixed(2)} = ${rightNailX.toFixed(2)}${unitLabel}`
-            });
-          } else {
-            const nailHeight =
-              actualCentroid + (art.height || 0) / 2 - (art.wireOffset || 0) + (art.hangerOffset || 0);
-
-            results.push({
-              artwork: artIndex + 1,
-              position: `Row ${row + 1}, Col ${col + 1}`,
-              nailHeight: nailHeight.toFixed(2),
-              centroid: actualCentroid.toFixed(2),
-              horizontalDistance: artCenterX.toFixed(2),
-              horizontalFromEdge: 'left',
-              isDRing: false,
-              equation: `Grid Centroid = ${gridCentroid.toFixed(2)}; Offset = ${targetCentroid.toFixed(
-                2
-              )} - ${gridCentroid.toFixed(2)} = ${offset.toFixed(2)}; Art Centroid = ${artCentroid.toFixed(
-                2
-              )} + ${offset.toFixed(2)} = ${actualCentroid.toFixed(2)}; Nail = ${actualCentroid.toFixed(2)} + ${(
-                (art.height || 0) / 2
-              ).toFixed(2)} - ${(art.wireOffset || 0).toFixed(2)} + ${(art.hangerOffset || 0).toFixed(
-                2
-              )} = ${nailHeight.toFixed(2)}${unitLabel}`,
-              horizontalEquation: `Grid Start = (${wallWidth.toFixed(2)} - ${totalWidth.toFixed(2)}) / 2 = ${gridStartX.toFixed(
-                2
-              )}; Art Center = ${gridStartX.toFixed(2)} + ${widthToLeft.toFixed(2)} + ${(
-                (art.width || 0) / 2
-              ).toFixed(2)} = ${artCenterX.toFixed(2)}${unitLabel}`
-            });
-          }
-
-          artIndex++;
-        }
-      }
-      return results;
-    }
+  const arrangeHint =
+    artworks.length < 2
+      ? 'Add at least two artworks to get suggestions.'
+      : !(wallWidth > 0)
+        ? 'Enter the wall width first.'
+        : artworks.some(art => !(art.width > 0 && art.height > 0))
+          ? 'Enter every artwork\'s width and height first.'
+          : 'No arrangement fits on this wall. Try a smaller gap or fewer pieces.';
 
-    if (configuration === 'vertical') {
-      const totalHeight = artworks.reduce(
-        (sum, art, i) => sum + (art.height || 0) + (i > 0 ? (layout.verticalGap || 0) : 0),
-        0
-      );
-      const groupCentroid = totalHeight / 2;
-      const offset = targetCentroid - groupCentroid;
-      const horizontalCenter = wallWidth / 2;
-
-      let cumulative = 0;
-      return artworks.map((art, i) => {
-        const artCentroid = cumulative + (art.height || 0) / 2 + offset;
-        const prevCumulative = cumulative;
-        cumulative += (art.height || 0) + (i < artworks.length - 1 ? (layout.verticalGap || 0) : 0);
-
-        if (art.mountingType === 'dring') {
-          const mountingPointHeight = (art.height || 0) - (art.mountingVerticalOffset || 0);
-          const nailHeight = artCentroid + (art.height || 0) / 2 - mountingPointHeight + (art.hangerOffset || 0);
-          const leftNailX = horizontalCenter - (art.width || 0) / 2 + (art.mountingHorizontalOffset || 0);
-          const rightNailX = horizontalCenter + (art.width || 0) / 2 - (art.mountingHorizontalOffset || 0);
-
-          return {
-            artwork: i + 1,
-            nailHeight: nailHeight.toFixed(2),
-            centroid: artCentroid.toFixed(2),
-            horizontalDistance: leftNailX.toFixed(2),
-            horizontalDistance2: rightNailX.toFixed(2),
-            horizontalFromEdge: 'left',
-            isDRing: true,
-            equation: `Group offset = ${offset.toFixed(2)}; Art centroid = ${artCentroid.toFixed(
-              2
-            )}; Mount height = ${mountingPointHeight.toFixed(2)}; Nail = ${artCentroid.toFixed(2)} + ${(
-              (art.height || 0) / 2
-            ).toFixed(2)} - ${mountingPointHeight.toFixed(2)} + ${(art.hangerOffset || 0).toFixed(2)} = ${nailHeight.toFixed(
-              2
-            )}${unitLabel}`,
-            horizontalEquation: `Center = ${horizontalCenter.toFixed(2)}; Left = ${horizontalCenter.toFixed(2)} - ${(
-              (art.width || 0) / 2
-            ).toFixed(2)} + ${(art.mountingHorizontalOffset || 0).toFixed(2)} = ${leftNailX.toFixed(
-              2
-            )}; Right = ${horizontalCenter.toFixed(2)} + ${(((art.width || 0) / 2)).toFixed(2)} - ${(
-              art.mountingHorizontalOffset || 0
-            ).toFixed(2)} = ${rightNailX.toFixed(2)}${unitLabel}`
-          };
-        } else {
-          const nailHeight =
-            artCentroid + (art.height || 0) / 2 - (art.wireOffset || 0) + (art.hangerOffset || 0);
-
-          return {
-            artwork: i + 1,
-            nailHeight: nailHeight.toFixed(2),
-            centroid: artCentroid.toFixed(2),
-            horizontalDistance: horizontalCenter.toFixed(2),
-            horizontalFromEdge: 'center',
-            isDRing: false,
-            equation: `Group Centroid = ${groupCentroid.toFixed(2)}; Offset = ${targetCentroid.toFixed(
-              2
-            )} - ${groupCentroid.toFixed(2)} = ${offset.toFixed(2)}; Art Centroid = ${prevCumulative.toFixed(
-              2
-            )} + ${(((art.height || 0) / 2)).toFixed(2)} + ${offset.toFixed(2)} = ${artCentroid.toFixed(
-              2
-            )}; Nail = ${artCentroid.toFixed(2)} + ${(((art.height || 0) / 2)).toFixed(2)} - ${(
-              art.wireOffset || 0
-            ).toFixed(2)} + ${(art.hangerOffset || 0).toFixed(2)} = ${nailHeight.toFixed(2)}${unitLabel}`,
-            horizontalEquation: `Horizontal = ${wallWidth.toFixed(2)} / 2 = ${horizontalCenter.toFixed(2)}${unitLabel}`
-          };
-        }
-      });
-    } else {
-      // horizontal configuration
-      const totalWidth = artworks.reduce(
-        (sum, art, i) => sum + (art.width || 0) + (i > 0 ? (layout.horizontalGap || 0) : 0),
-        0
-      );
-      const groupStartX = (wallWidth - totalWidth) / 2;
-
-      let cumulative = 0;
-      return artworks.map((art, i) => {
-        const artCentroid = (art.height || 0) / 2;
-        const artCenterX = groupStartX + cumulative + (art.width || 0) / 2;
-        const prevCumulative = cumulative;
-        cumulative += (art.width || 0) + (i < artworks.length - 1 ? (layout.horizontalGap || 0) : 0);
-
-        if (art.mountingType === 'dring') {
-          const mountingPointHeight = (art.height || 0) - (art.mountingVerticalOffset || 0);
-          const nailHeight = targetCentroid + artCentroid - mountingPointHeight + (art.hangerOffset || 0);
-          const leftNailX = artCenterX - (art.width || 0) / 2 + (art.mountingHorizontalOffset || 0);
-          const rightNailX = artCenterX + (art.width || 0) / 2 - (art.mountingHorizontalOffset || 0);
-
-          return {
-            artwork: i + 1,
-            nailHeight: nailHeight.toFixed(2),
-            centroid: targetCentroid.toFixed(2),
-            horizontalDistance: leftNailX.toFixed(2),
-            horizontalDistance2: rightNailX.toFixed(2),
-            horizontalFromEdge: 'left',
-            isDRing: true,
-            equation: `Mount height = ${mountingPointHeight.toFixed(2)}; Nail = ${targetCentroid.toFixed(2)} + ${(
-              ((art.height || 0) / 2)
-            ).toFixed(2)} - ${mountingPointHeight.toFixed(2)} + ${(art.hangerOffset || 0).toFixed(2)} = ${nailHeight.toFixed(
-              2
-            )}${unitLabel}`,
-            horizontalEquation: `Group start = ${groupStartX.toFixed(2)}; Art center = ${artCenterX.toFixed(
-              2
-            )}; Left = ${artCenterX.toFixed(2)} - ${(((art.width || 0) / 2)).toFixed(2)} + ${(
-              art.mountingHorizontalOffset || 0
-            ).toFixed(2)} = ${leftNailX.toFixed(2)}; Right = ${artCenterX.toFixed(2)} + ${(((art.width || 0) / 2)).toFixed(
-              2
-            )} - ${(art.mountingHorizontalOffset || 0).toFixed(2)} = ${rightNailX.toFixed(2)}${unitLabel}`
-          };
-        } else {
-          const nailHeight = targetCentroid + artCentroid - (art.wireOffset || 0) + (art.hangerOffset || 0);
-
-          return {
-            artwork: i + 1,
-            nailHeight: nailHeight.toFixed(2),
-            centroid: targetCentroid.toFixed(2),
-            horizontalDistance: artCenterX.toFixed(2),
-            horizontalFromEdge: 'left',
-            isDRing: false,
-            equation: `Nail Height = ${targetCentroid.toFixed(2)} + ${(((art.height || 0) / 2)).toFixed(2)} - ${(
-              art.wireOffset || 0
-            ).toFixed(2)} + ${(art.hangerOffset || 0).toFixed(2)} = ${nailHeight.toFixed(2)}${unitLabel}`,
-            horizontalEquation: `Group Start = (${wallWidth.toFixed(2)} - ${totalWidth.toFixed(2)}) / 2 = ${groupStartX.toFixed(
-              2
-            )}; Art Center = ${groupStartX.toFixed(2)} + ${prevCumulative.toFixed(2)} + ${(((art.width || 0) / 2)).toFixed(
-              2
-            )} = ${artCenterX.toFixed(2)}${unitLabel}`
-          };
-        }
-      });
-    }
+  const applyArrangement = candidate => {
+    setConfiguration(candidate.configuration);
+    setLayout({ ...layout, ...candidate.layout });
+    setArtworks(candidate.artworks);
+    setSuggestions(null);
   };
 
-  const results = calculateNailPosition();
+  if (printMode && errors.length === 0) {
+    const projectName = `${projects.find(p => p.id === activeProjectId).name}, ${wall.name}`;
+    return (
+      <PrintView mode={printMode} paper={paper} onPaperChange={setPaper} onClose={() => setPrintMode(null)}>
+        {printMode === 'sheet' ? (
+          <InstallationSheet
+            projectName={projectName}
+            wallWidth={wallWidth}
+            targetCentroid={centroidLine(plan, results)}
+            heightSource={results.length > 0 ? describeHeight(results[0].heightPolicy, wall, units) : ''}
+            datum={datum}
+            results={results}
+            artworks={artworks}
+            obstacles={obstacles}
+            conflicts={conflicts}
+            issues={issues}
+            furniture={furniture}
+            substrate={substrate}
+            hardwareRules={hardwareRules}
+            units={units}
+          />
+        ) : (
+          <NailTemplates results={results} units={units} paper={paper} />
+        )}
+      </PrintView>
+    );
+  }
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-50 to-slate-100 p-6">
@@ -451,59 +2193,282 @@ const ArtHangingCalculator = () => {
           <div className="flex items-center gap-3 mb-6">
             <div className="w-8 h-8 text-blue-600"><Calculator /></div>
             <h1 className="text-3xl font-bold text-gray-800">Art Hanging Calculator</h1>
-            <button
-              onClick={toggleUnits}
-              className="ml-auto px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-700 transition-colors font-medium"
-            >
-              {units === 'inches' ? '🇺🇸 Switch to cm' : '📏 Switch to inches'}
-            </button>
+            <div className="ml-auto flex gap-2">
+              <button
+                onClick={undo}
+                disabled={historySize.undo === 0}
+                title="Undo (Ctrl+Z)"
+                className="px-3 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors text-sm font-medium disabled:opacity-40 disabled:cursor-not-allowed"
+              >
+                ↶ Undo
+              </button>
+              <button
+                onClick={redo}
+                disabled={historySize.redo === 0}
+                title="Redo (Ctrl+Shift+Z)"
+                className="px-3 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors text-sm font-medium disabled:opacity-40 disabled:cursor-not-allowed"
+              >
+                ↷ Redo
+              </button>
+            </div>
+            <div className="flex rounded-lg overflow-hidden border border-gray-800">
+              {Object.entries(UNITS).map(([unit, { label }]) => (
+                <button
+                  key={unit}
+                  onClick={() => setUnits(unit)}
+                  className={`px-4 py-2 font-medium transition-colors ${
+                    units === unit ? 'bg-gray-800 text-white' : 'bg-white text-gray-800 hover:bg-gray-100'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
           </div>
 
+          <ProjectPicker
+            projects={projects}
+            activeProjectId={activeProjectId}
+            error={projectError}
+            shareLink={shareLink}
+            onSelect={openProject}
+            onCreate={createNewProject}
+            onRename={renameProject}
+            onDuplicate={duplicateProject}
+            onDelete={deleteProject}
+            onExport={exportProject}
+            onImport={importProject}
+            onShare={copyShareLink}
+          />
+
+          <WallTabs
+            walls={walls}
+            activeWallId={wall.id}
+            inventory={inventory}
+            onSelect={selectWall}
+            onAdd={addWall}
+            onRename={renameWall}
+            onDelete={deleteWall}
+          />
+
           <p className="text-gray-600 mb-8">
-            Calculate precise nail placement for artwork with a {targetCentroid}{unitLabel} centroid height (museum standard).
+            Calculate precise nail placement for artwork hung with a {HEIGHT_POLICIES[heightPolicy.type].toLowerCase()} policy.
+            Lengths can be typed as 12 3/8, 2' 4-1/2" or 305mm.
           </p>
 
-          <div className="mb-8 p-4 bg-blue-50 rounded-lg">
-            <label className="block text-sm font-semibold text-gray-700 mb-2">
-              Target Centroid Height ({unitLabel} from floor)
-            </label>
-            <input
-              type="number"
-              step={units === 'cm' ? '0.1' : '0.01'}
-              value={targetCentroid}
-              onChange={(e) => setTargetCentroid(e.target.value === '' ? 0 : (parseFloat(e.target.value) || 0))}
-              className="w-full px-4 py-2 border-2 border-blue-200 rounded-lg focus:outline-none focus:border-blue-500"
-            />
-          </div>
+          <HangingHeight
+            wall={wall}
+            units={units}
+            issuesFor={issuesFor}
+            onPolicyChange={setHeightPolicy}
+            onCentroidChange={setTargetCentroid}
+          />
+
+          <VerticalDatum datum={datum} units={units} onChange={setDatum} />
 
           <div className="mb-8 p-4 bg-amber-50 rounded-lg">
             <label className="block text-sm font-semibold text-gray-700 mb-2">
               Wall Width ({unitLabel})
             </label>
-            <input
-              type="number"
-              step={units === 'cm' ? '0.1' : '0.01'}
+            <LengthInput
+              units={units}
               value={wallWidth}
-              onChange={(e) => setWallWidth(e.target.value === '' ? 0 : (parseFloat(e.target.value) || 0))}
+              onChange={setWallWidth}
               className="w-full px-4 py-2 border-2 border-amber-200 rounded-lg focus:outline-none focus:border-amber-500"
             />
+            <IssueList issues={issuesFor('wallWidth')} units={units} />
             <p className="text-sm text-gray-600 mt-2">
               Used to calculate horizontal placement and center your artwork on the wall
             </p>
+
+            <div className="mt-4 flex flex-wrap items-center gap-3">
+              <label className="text-sm font-semibold text-gray-700">Wall material</label>
+              <select
+                value={substrate}
+                onChange={(e) => setSubstrate(e.target.value)}
+                className="px-3 py-2 border-2 border-amber-200 rounded-lg focus:outline-none focus:border-amber-500"
+              >
+                {Object.entries(HardwareRules.SUBSTRATES).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <span className="text-sm text-gray-600">Decides the fasteners recommended for each artwork's weight</span>
+            </div>
+
+            <div className="mt-4 flex flex-wrap items-center gap-3">
+              <span className="text-sm font-semibold text-gray-700">Measure horizontal distances from the</span>
+              {['left', 'right'].map(edge => (
+                <button
+                  key={edge}
+                  onClick={() => setReference({ ...reference, edge })}
+                  className={`px-3 py-1 rounded-lg text-sm font-medium transition-all ${
+                    reference.edge === edge ? 'bg-amber-600 text-white' : 'bg-white text-gray-700 hover:bg-amber-100'
+                  }`}
+                >
+                  {edge === 'left' ? 'Left edge' : 'Right edge'}
+                </button>
+              ))}
+            </div>
+
+            <label className="mt-4 flex items-center gap-2 text-sm font-semibold text-gray-700">
+              <input
+                type="checkbox"
+                checked={reference.anchorEnabled}
+                onChange={(e) => setReference({ ...reference, anchorEnabled: e.target.checked })}
+              />
+              Center the arrangement on an anchor point instead of the wall center
+            </label>
+            {reference.anchorEnabled && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mt-2">
+                <div>
+                  <label className="block text-xs font-medium text-gray-600 mb-1">
+                    Anchor ({unitLabel} from {reference.edge} edge)
+                  </label>
+                  <LengthInput
+                    units={units}
+                    value={reference.anchorX}
+                    onChange={anchorX => setReference({ ...reference, anchorX })}
+                    className="w-full px-3 py-2 border border-amber-200 rounded-lg focus:outline-none focus:border-amber-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-600 mb-1">Anchor name</label>
+                  <input
+                    type="text"
+                    placeholder="e.g. Fireplace center"
+                    value={reference.anchorLabel}
+                    onChange={(e) => setReference({ ...reference, anchorLabel: e.target.value })}
+                    className="w-full px-3 py-2 border border-amber-200 rounded-lg focus:outline-none focus:border-amber-500"
+                  />
+                </div>
+                {furniture.enabled && (
+                  <p className="text-xs text-gray-500 md:col-span-2">Furniture placement is on, so the furniture center is used instead.</p>
+                )}
+              </div>
+            )}
+          </div>
+
+          <div className="mb-8 p-4 bg-orange-50 rounded-lg">
+            <label className="flex items-center gap-2 font-semibold text-gray-800">
+              <input
+                type="checkbox"
+                checked={furniture.enabled}
+                onChange={(e) => setFurniture({ ...furniture, enabled: e.target.checked })}
+              />
+              Hang above furniture
+            </label>
+            <p className="text-sm text-gray-600 mt-1">
+              Centers the arrangement on a sofa, sideboard or bed and sets its bottom edge a gap above the furniture top.
+              Replaces the target centroid height.
+            </p>
+            {furniture.enabled && (
+              <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mt-3">
+                {[
+                  ['x', 'Left end from left wall edge'],
+                  ['width', 'Furniture width'],
+                  ['height', 'Furniture top from floor'],
+                  ['gap', 'Gap above furniture'],
+                  ['minClearance', 'Minimum clearance']
+                ].map(([field, label]) => (
+                  <div key={field}>
+                    <label className="block text-xs font-medium text-gray-600 mb-1">{label} ({unitLabel})</label>
+                    <LengthInput
+                      units={units}
+                      value={furniture[field]}
+                      onChange={value => setFurniture({ ...furniture, [field]: value })}
+                      className="w-full px-3 py-2 border border-orange-200 rounded-lg focus:outline-none focus:border-orange-500"
+                    />
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="mb-8 p-4 bg-rose-50 rounded-lg">
+            <div className="flex justify-between items-center mb-2">
+              <h3 className="font-semibold text-gray-800">Wall Obstacles</h3>
+              <button
+                onClick={addObstacle}
+                className="flex items-center gap-2 px-3 py-1 bg-rose-600 text-white rounded-lg hover:bg-rose-700 transition-colors text-sm"
+              >
+                <div className="w-4 h-4"><Plus /></div>
+                Add Obstacle
+              </button>
+            </div>
+            <p className="text-sm text-gray-600 mb-3">
+              Windows, doors, outlets and switches. Position is the lower-left corner ({unitLabel} from the left wall edge and the floor, even when nails are measured from the right);
+              clearance keeps frames and nails that far away on every side.
+            </p>
+            <div className="space-y-3">
+              {obstacles.map(obstacle => (
+                <div key={obstacle.id} className="grid grid-cols-2 md:grid-cols-7 gap-3 items-end">
+                  <div>
+                    <label className="block text-xs font-medium text-gray-600 mb-1">{obstacleName(obstacle, obstacles)}</label>
+                    <select
+                      value={obstacle.type}
+                      onChange={(e) => updateObstacle(obstacle.id, 'type', e.target.value)}
+                      className="w-full px-3 py-2 border border-rose-200 rounded-lg focus:outline-none focus:border-rose-500"
+                    >
+                      {Object.entries(OBSTACLE_TYPES).map(([type, label]) => (
+                        <option key={type} value={type}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  {[
+                    ['x', 'From left wall edge'],
+                    ['y', 'From floor'],
+                    ['width', 'Width'],
+                    ['height', 'Height'],
+                    ['clearance', 'Clearance']
+                  ].map(([field, label]) => (
+                    <div key={field}>
+                      <label className="block text-xs font-medium text-gray-600 mb-1">{label} ({unitLabel})</label>
+                      <LengthInput
+                        units={units}
+                        value={obstacle[field]}
+                        onChange={value => updateObstacle(obstacle.id, field, value)}
+                        className="w-full px-3 py-2 border border-rose-200 rounded-lg focus:outline-none focus:border-rose-500"
+                      />
+                    </div>
+                  ))}
+                  <button
+                    onClick={() => removeObstacle(obstacle.id)}
+                    className="mb-2 text-red-600 hover:text-red-700 transition-colors"
+                  >
+                    <div className="w-4 h-4"><Trash2 /></div>
+                  </button>
+                </div>
+              ))}
+            </div>
           </div>
 
           <div className="mb-8">
-            <label className="block text-sm font-semibold text-gray-700 mb-3">
-              Configuration Type
-            </label>
-            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
-              {['single', 'vertical', 'horizontal', 'custom'].map(type => (
+            <div className="flex justify-between items-center mb-3">
+              <label className="block text-sm font-semibold text-gray-700">
+                Configuration Type
+              </label>
+              <button
+                onClick={() => setSuggestions(suggestArrangements({ wall: plan.wall, artworks, layout, furniture, obstacles }))}
+                disabled={artworks.length < 2}
+                className="px-3 py-1 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Auto Arrange
+              </button>
+            </div>
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+              {['single', 'vertical', 'horizontal', 'custom', 'freeform'].map(type => (
                 <button
                   key={type}
                   onClick={() => {
                     setConfiguration(type);
+                    if (type === 'freeform') {
+                      setArtworks(prev => seedFreeformPositions(prev, results));
+                    }
+                    // Extra pieces go back to the inventory unassigned.
                     if (type === 'single' && artworks.length > 1) {
-                      setArtworks([artworks[0]]);
+                      setInventory(prev =>
+                        prev.map(art => (art.wallId === wall.id && art.id !== artworks[0].id ? { ...art, wallId: null } : art))
+                      );
                     } else if (type !== 'single' && artworks.length === 1) {
                       addArtwork();
                     }
@@ -520,6 +2485,54 @@ const ArtHangingCalculator = () => {
             </div>
           </div>
 
+          {suggestions && (
+            <div className="mb-8 p-6 bg-indigo-50 rounded-lg">
+              <div className="flex justify-between items-center mb-4">
+                <h3 className="font-semibold text-gray-800">Suggested Arrangements</h3>
+                <button onClick={() => setSuggestions(null)} className="text-sm text-gray-600 hover:text-gray-800">
+                  Close
+                </button>
+              </div>
+              {suggestions.length === 0 ? (
+                <p className="text-sm text-gray-600">{arrangeHint}</p>
+              ) : (
+                <div className="grid md:grid-cols-3 gap-4">
+                  {suggestions.map((candidate, i) => (
+                    <div key={i} className="bg-white rounded-lg border border-indigo-200 p-3">
+                      <WallPreview
+                        wallWidth={wallWidth}
+                        targetCentroid={centroidLine({ ...plan, configuration: candidate.configuration }, candidate.placements)}
+                        results={candidate.placements}
+                        units={units}
+                        obstacles={obstacles}
+                        furniture={furniture}
+                        artworks={candidate.artworks}
+                      />
+                      <p className="text-sm font-semibold text-gray-800 mt-2">
+                        {i + 1}. {candidate.label}
+                      </p>
+                      <p className="text-xs text-gray-600">
+                        Balance {Math.round(candidate.scores.balance * 100)}% · Symmetry{' '}
+                        {Math.round(candidate.scores.symmetry * 100)}% · Alignment {Math.round(candidate.scores.alignment * 100)}%
+                      </p>
+                      {candidate.conflicts > 0 && (
+                        <p className="text-xs text-amber-700">
+                          ⚠ {candidate.conflicts} obstacle conflict{candidate.conflicts === 1 ? '' : 's'}
+                        </p>
+                      )}
+                      <button
+                        onClick={() => applyArrangement(candidate)}
+                        className="mt-2 px-3 py-1 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors text-sm"
+                      >
+                        Apply
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
           {configuration === 'custom' && (
             <div className="mb-8 p-6 bg-purple-50 rounded-lg">
               <h3 className="font-semibold text-gray-800 mb-4">Grid Layout</h3>
@@ -544,31 +2557,139 @@ const ArtHangingCalculator = () => {
                     className="w-full px-3 py-2 border border-purple-200 rounded-lg focus:outline-none focus:border-purple-500"
                   />
                 </div>
+                <div className="col-span-2 md:col-span-4 -mt-3 empty:hidden">
+                  <IssueList issues={issuesFor('rows')} units={units} />
+                </div>
                 <div>
                   <label className="block text-xs font-medium text-gray-600 mb-1">H-Gap ({unitLabel})</label>
-                  <input
-                    type="number"
-                    step={units === 'cm' ? '0.1' : '0.01'}
+                  <LengthInput
+                    units={units}
                     value={layout.horizontalGap}
-                    onChange={(e) =>
-                      setLayout({ ...layout, horizontalGap: e.target.value === '' ? 0 : (parseFloat(e.target.value) || 0) })
-                    }
+                    onChange={value => setLayout({ ...layout, horizontalGap: value })}
                     className="w-full px-3 py-2 border border-purple-200 rounded-lg focus:outline-none focus:border-purple-500"
                   />
                 </div>
                 <div>
                   <label className="block text-xs font-medium text-gray-600 mb-1">V-Gap ({unitLabel})</label>
-                  <input
-                    type="number"
-                    step={units === 'cm' ? '0.1' : '0.01'}
+                  <LengthInput
+                    units={units}
                     value={layout.verticalGap}
-                    onChange={(e) =>
-                      setLayout({ ...layout, verticalGap: e.target.value === '' ? 0 : (parseFloat(e.target.value) || 0) })
-                    }
+                    onChange={value => setLayout({ ...layout, verticalGap: value })}
                     className="w-full px-3 py-2 border border-purple-200 rounded-lg focus:outline-none focus:border-purple-500"
                   />
                 </div>
               </div>
+
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-4">
+                <div>
+                  <label className="block text-xs font-medium text-gray-600 mb-1">Align in rows</label>
+                  <select
+                    value={layout.rowAlign}
+                    onChange={(e) => setLayout({ ...layout, rowAlign: e.target.value })}
+                    className="w-full px-3 py-2 border border-purple-200 rounded-lg focus:outline-none focus:border-purple-500"
+                  >
+                    {Object.entries(ROW_ALIGNMENTS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-600 mb-1">Align in columns</label>
+                  <select
+                    value={layout.colAlign}
+                    onChange={(e) => setLayout({ ...layout, colAlign: e.target.value })}
+                    className="w-full px-3 py-2 border border-purple-200 rounded-lg focus:outline-none focus:border-purple-500"
+                  >
+                    {Object.entries(COLUMN_ALIGNMENTS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <details className="mt-4" open={layout.rowCounts.some(count => count > 0)}>
+                <summary className="text-sm font-medium text-gray-700 cursor-pointer">Pieces per row</summary>
+                <p className="text-xs text-gray-500 mt-2">
+                  Leave a row blank to use the column count. Rows with fewer pieces are centered, as in a 3-2-3 wall.
+                  A piece spanning several rows takes a cell in each of them.
+                </p>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-3">
+                  {Array.from({ length: layout.rows }, (_, row) => (
+                    <div key={`count-${row}`}>
+                      <label className="block text-xs font-medium text-gray-600 mb-1">
+                        Row {row + 1}{row === 0 ? ' (bottom)' : ''}
+                      </label>
+                      <input
+                        type="number"
+                        min="1"
+                        placeholder={String(layout.cols)}
+                        value={layout.rowCounts[row] || ''}
+                        onChange={(e) => {
+                          const rowCounts = [...layout.rowCounts];
+                          rowCounts[row] = parseInt(e.target.value) || 0;
+                          setLayout({ ...layout, rowCounts });
+                        }}
+                        className="w-full px-3 py-2 border border-purple-200 rounded-lg focus:outline-none focus:border-purple-500"
+                      />
+                    </div>
+                  ))}
+                </div>
+              </details>
+
+              <details className="mt-4">
+                <summary className="text-sm font-medium text-gray-700 cursor-pointer">Per-row and per-column alignment</summary>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-3">
+                  {Array.from({ length: layout.rows }, (_, row) => (
+                    <div key={`row-${row}`}>
+                      <label className="block text-xs font-medium text-gray-600 mb-1">
+                        Row {row + 1}{row === 0 ? ' (bottom)' : ''}
+                      </label>
+                      <select
+                        value={layout.rowAlignments[row] || ''}
+                        onChange={(e) => setLayout({ ...layout, rowAlignments: { ...layout.rowAlignments, [row]: e.target.value } })}
+                        className="w-full px-3 py-2 border border-purple-200 rounded-lg focus:outline-none focus:border-purple-500"
+                      >
+                        <option value="">Grid default</option>
+                        {Object.entries(ROW_ALIGNMENTS).map(([value, label]) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                      </select>
+                    </div>
+                  ))}
+                  {Array.from({ length: Math.max(layout.cols, ...layout.rowCounts.map(count => count || 0)) }, (_, col) => (
+                    <div key={`col-${col}`}>
+                      <label className="block text-xs font-medium text-gray-600 mb-1">Column {col + 1}</label>
+                      <select
+                        value={layout.colAlignments[col] || ''}
+                        onChange={(e) => setLayout({ ...layout, colAlignments: { ...layout.colAlignments, [col]: e.target.value } })}
+                        className="w-full px-3 py-2 border border-purple-200 rounded-lg focus:outline-none focus:border-purple-500"
+                      >
+                        <option value="">Grid default</option>
+                        {Object.entries(COLUMN_ALIGNMENTS).map(([value, label]) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                      </select>
+                    </div>
+                  ))}
+                </div>
+              </details>
+            </div>
+          )}
+
+          {configuration === 'freeform' && (
+            <div className="mb-8 p-6 bg-teal-50 rounded-lg">
+              <h3 className="font-semibold text-gray-800 mb-2">Freeform Layout</h3>
+              <p className="text-sm text-gray-600 mb-4">
+                Drag each artwork in the Wall Preview below. Frames snap to each other's edges and center lines, to the wall
+                center, to the target centroid line and to the uniform gap. Hold Alt while dragging to place freely.
+              </p>
+              <label className="block text-xs font-medium text-gray-600 mb-1">Uniform Gap ({unitLabel})</label>
+              <LengthInput
+                units={units}
+                value={layout.horizontalGap}
+                onChange={value => setLayout({ ...layout, horizontalGap: value, verticalGap: value })}
+                className="w-full md:w-1/4 px-3 py-2 border border-teal-200 rounded-lg focus:outline-none focus:border-teal-500"
+              />
             </div>
           )}
 
@@ -577,17 +2698,15 @@ const ArtHangingCalculator = () => {
               <label className="block text-sm font-semibold text-gray-700 mb-2">
                 Gap Between Artworks ({unitLabel})
               </label>
-              <input
-                type="number"
-                step={units === 'cm' ? '0.1' : '0.01'}
+              <LengthInput
+                units={units}
                 value={configuration === 'vertical' ? layout.verticalGap : layout.horizontalGap}
-                onChange={(e) => {
-                  const value = e.target.value === '' ? 0 : (parseFloat(e.target.value) || 0);
+                onChange={value =>
                   setLayout({
                     ...layout,
                     [configuration === 'vertical' ? 'verticalGap' : 'horizontalGap']: value
-                  });
-                }}
+                  })
+                }
                 className="w-full px-4 py-2 border-2 border-green-200 rounded-lg focus:outline-none focus:border-green-500"
               />
             </div>
@@ -596,55 +2715,139 @@ const ArtHangingCalculator = () => {
           <div className="mb-8">
             <div className="flex justify-between items-center mb-4">
               <h2 className="text-xl font-semibold text-gray-800">Artwork Dimensions</h2>
-              {configuration !== 'single' && (
-                <button
-                  onClick={addArtwork}
-                  className="flex items-center gap-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors"
-                >
-                  <div className="w-4 h-4"><Plus /></div>
-                  Add Artwork
-                </button>
-              )}
+              <div className="flex items-center gap-2">
+                <label className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors cursor-pointer">
+                  Import CSV
+                  <input
+                    type="file"
+                    accept="text/csv,.csv,.tsv,.txt"
+                    className="hidden"
+                    onChange={(e) => {
+                      loadCsv(e.target.files[0]);
+                      e.target.value = '';
+                    }}
+                  />
+                </label>
+                {(configuration !== 'single' || artworks.length === 0) && (
+                  <button
+                    onClick={addArtwork}
+                    className="flex items-center gap-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors"
+                  >
+                    <div className="w-4 h-4"><Plus /></div>
+                    Add Artwork
+                  </button>
+                )}
+              </div>
             </div>
+            {csvFile && (
+              <CsvImport
+                file={csvFile}
+                units={units}
+                onMappingChange={mapping => setCsvFile({ ...csvFile, mapping })}
+                onImport={importCsvArtworks}
+                onCancel={() => setCsvFile(null)}
+              />
+            )}
 
             <div className="space-y-4">
               {artworks.map((art, index) => (
                 <div key={art.id} className="p-4 bg-gray-50 rounded-lg border-2 border-gray-200">
                   <div className="flex justify-between items-center mb-3">
-                    <h3 className="font-semibold text-gray-700">Artwork {index + 1}</h3>
-                    {configuration !== 'single' && artworks.length > 1 && (
-                      <button
-                        onClick={() => removeArtwork(art.id)}
-                        className="text-red-600 hover:text-red-700 transition-colors"
-                      >
-                        <div className="w-4 h-4"><Trash2 /></div>
+                    <div className="flex items-center gap-3">
+                      <Thumbnail art={art} />
+                      <div>
+                        <h3 className="font-semibold text-gray-700">{artworkName(art, index)}</h3>
+                        {art.artist && <p className="text-xs text-gray-500">{art.artist}</p>}
+                      </div>
+                    </div>
+                    <div className="flex items-center gap-3">
+                      <button onClick={() => saveToLibrary(art)} className="text-sm text-emerald-700 hover:text-emerald-800">
+                        {library.some(entry => entry.id === art.libraryId) ? 'Update in library' : 'Save to library'}
                       </button>
-                    )}
+                      {configuration !== 'single' && artworks.length > 1 && (
+                        <button
+                          onClick={() => removeArtwork(art.id)}
+                          className="text-red-600 hover:text-red-700 transition-colors"
+                        >
+                          <div className="w-4 h-4"><Trash2 /></div>
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                  <div className="-mt-2 mb-2 empty:hidden">
+                    <IssueList issues={issuesFor(null, art.id)} units={units} />
+                  </div>
+                  <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-3">
+                    {[
+                      ['title', 'Title'],
+                      ['artist', 'Artist']
+                    ].map(([field, label]) => (
+                      <div key={field}>
+                        <label className="block text-xs font-medium text-gray-600 mb-1">{label}</label>
+                        <input
+                          type="text"
+                          value={art[field]}
+                          onChange={(e) => updateArtwork(art.id, field, e.target.value)}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-blue-500"
+                        />
+                      </div>
+                    ))}
+                    <div>
+                      <label className="block text-xs font-medium text-gray-600 mb-1">Weight ({weightUnit(units)})</label>
+                      <WeightInput
+                        units={units}
+                        value={art.weight}
+                        onChange={value => updateArtwork(art.id, 'weight', value)}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-blue-500"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-xs font-medium text-gray-600 mb-1">Photo</label>
+                      <div className="flex items-center gap-2">
+                        <label className="px-3 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors text-sm cursor-pointer">
+                          {art.thumbnail ? 'Replace' : 'Upload'}
+                          <input
+                            type="file"
+                            accept="image/*"
+                            className="hidden"
+                            onChange={(e) => {
+                              uploadThumbnail(art.id, e.target.files[0]);
+                              e.target.value = '';
+                            }}
+                          />
+                        </label>
+                        {art.thumbnail && (
+                          <button onClick={() => updateArtwork(art.id, 'thumbnail', '')} className="text-sm text-gray-600 hover:text-gray-800">
+                            Remove
+                          </button>
+                        )}
+                      </div>
+                    </div>
                   </div>
                   <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
                     <div>
                       <label className="block text-xs font-medium text-gray-600 mb-1">
                         Width ({unitLabel})
                       </label>
-                      <input
-                        type="number"
-                        step={units === 'cm' ? '0.1' : '0.01'}
+                      <LengthInput
+                        units={units}
                         value={art.width}
-                        onChange={(e) => updateArtwork(art.id, 'width', e.target.value)}
+                        onChange={value => updateArtwork(art.id, 'width', value)}
                         className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-blue-500"
                       />
+                      <IssueList issues={issuesFor('width', art.id)} units={units} />
                     </div>
                     <div>
                       <label className="block text-xs font-medium text-gray-600 mb-1">
                         Height ({unitLabel})
                       </label>
-                      <input
-                        type="number"
-                        step={units === 'cm' ? '0.1' : '0.01'}
+                      <LengthInput
+                        units={units}
                         value={art.height}
-                        onChange={(e) => updateArtwork(art.id, 'height', e.target.value)}
+                        onChange={value => updateArtwork(art.id, 'height', value)}
                         className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-blue-500"
                       />
+                      <IssueList issues={issuesFor('height', art.id)} units={units} />
                     </div>
                     <div>
                       <label className="block text-xs font-medium text-gray-600 mb-1">
@@ -655,134 +2858,314 @@ const ArtHangingCalculator = () => {
                         onChange={(e) => updateArtwork(art.id, 'mountingType', e.target.value)}
                         className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-blue-500"
                       >
-                        <option value="wire">Wire</option>
-                        <option value="dring">D-Ring / Side Mounts</option>
+                        {Object.entries(MOUNTING_OPTIONS).map(([type, option]) => (
+                          <option key={type} value={type}>
+                            {option.label}
+                          </option>
+                        ))}
                       </select>
                     </div>
                   </div>
 
                   <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-3">
-                    {art.mountingType === 'wire' ? (
-                      <div>
+                    {(MOUNTING_OPTIONS[art.mountingType] || MOUNTING_OPTIONS.wire).fields.map(([field, label, hint]) => (
+                      <div key={field}>
                         <label className="block text-xs font-medium text-gray-600 mb-1">
-                          Wire Offset ({unitLabel})
+                          {label} ({unitLabel})
                         </label>
-                        <input
-                          type="number"
-                          step={units === 'cm' ? '0.1' : '0.01'}
-                          value={art.wireOffset}
-                          onChange={(e) => updateArtwork(art.id, 'wireOffset', e.target.value)}
+                        <LengthInput
+                          units={units}
+                          value={art[field]}
+                          onChange={value => updateArtwork(art.id, field, value)}
                           className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-blue-500"
                         />
-                        <p className="text-xs text-gray-500 mt-1">Distance from top to wire when taut</p>
+                        <p className="text-xs text-gray-500 mt-1">{hint}</p>
+                        <IssueList issues={issuesFor(field, art.id)} units={units} />
                       </div>
-                    ) : (
-                      <>
-                        <div>
+                    ))}
+                  </div>
+
+                  {configuration === 'freeform' && (
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-3">
+                      {[
+                        ['freeformX', 'Center from left wall edge'],
+                        ['freeformY', 'Center from floor']
+                      ].map(([field, label]) => (
+                        <div key={field}>
                           <label className="block text-xs font-medium text-gray-600 mb-1">
-                            Vertical Offset ({unitLabel})
+                            {label} ({unitLabel})
                           </label>
-                          <input
-                            type="number"
-                            step={units === 'cm' ? '0.1' : '0.01'}
-                            value={art.mountingVerticalOffset}
-                            onChange={(e) => updateArtwork(art.id, 'mountingVerticalOffset', e.target.value)}
-                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-blue-500"
+                          <LengthInput
+                            units={units}
+                            value={art[field]}
+                            onChange={value => updateArtwork(art.id, field, value)}
+                            className="w-full px-3 py-2 border border-teal-200 rounded-lg focus:outline-none focus:border-teal-500"
                           />
-                          <p className="text-xs text-gray-500 mt-1">Distance from top edge to mount</p>
                         </div>
-                        <div>
-                          <label className="block text-xs font-medium text-gray-600 mb-1">
-                            Horizontal Offset ({unitLabel})
-                          </label>
+                      ))}
+                    </div>
+                  )}
+
+                  {configuration === 'custom' && (
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-3">
+                      {[
+                        ['rowSpan', 'Rows spanned'],
+                        ['colSpan', 'Columns spanned']
+                      ].map(([field, label]) => (
+                        <div key={field}>
+                          <label className="block text-xs font-medium text-gray-600 mb-1">{label}</label>
                           <input
                             type="number"
-                            step={units === 'cm' ? '0.1' : '0.01'}
-                            value={art.mountingHorizontalOffset}
-                            onChange={(e) => updateArtwork(art.id, 'mountingHorizontalOffset', e.target.value)}
-                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-blue-500"
+                            min="1"
+                            value={art[field]}
+                            onChange={(e) => updateArtwork(art.id, field, parseInt(e.target.value) || 1)}
+                            className="w-full px-3 py-2 border border-purple-200 rounded-lg focus:outline-none focus:border-purple-500"
                           />
-                          <p className="text-xs text-gray-500 mt-1">Distance from side edge to mount</p>
+                          <IssueList issues={issuesFor(field, art.id)} units={units} />
                         </div>
-                      </>
-                    )}
-                    <div>
-                      <label className="block text-xs font-medium text-gray-600 mb-1">
-                        Hanger Offset ({unitLabel})
-                      </label>
-                      <input
-                        type="number"
-                        step={units === 'cm' ? '0.1' : '0.01'}
-                        value={art.hangerOffset}
-                        onChange={(e) => updateArtwork(art.id, 'hangerOffset', e.target.value)}
-                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-blue-500"
-                      />
-                      <p className="text-xs text-gray-500 mt-1">Distance nail is above wire rest point</p>
+                      ))}
                     </div>
-                  </div>
+                  )}
                 </div>
               ))}
             </div>
+
+            <ArtworkLibrary library={library} units={units} onUse={hangLibraryEntry} onRemove={removeLibraryEntry} />
+          </div>
+
+          <div className="mb-8">
+            <h2 className="text-xl font-semibold text-gray-800 mb-4">Wall Preview</h2>
+            <WallPreview
+              wallWidth={wallWidth}
+              targetCentroid={centroidLine(plan, results)}
+              results={results}
+              units={units}
+              obstacles={obstacles}
+              conflicts={conflicts}
+              furniture={furniture}
+              onMoveArtwork={configuration === 'freeform' ? moveArtwork : undefined}
+              snapGap={layout.horizontalGap}
+              anchor={activeAnchor}
+              artworks={artworks}
+            />
+            <p className="text-xs text-gray-500 mt-2">
+              Drawn to scale. Red points are nails; ↑ is height above {datumName}, {reference.edge === 'right' ? '←' : '→'} is
+              distance from the {reference.edge} edge.
+            </p>
+          </div>
+
+          <div className="mb-8 p-4 bg-cyan-50 rounded-lg">
+            <div className="flex justify-between items-center mb-2">
+              <h2 className="text-xl font-semibold text-gray-800">Wall Photo</h2>
+              <div className="flex items-center gap-3">
+                <label className="px-3 py-1 bg-cyan-600 text-white rounded-lg hover:bg-cyan-700 transition-colors text-sm cursor-pointer">
+                  {photo ? 'Replace photo' : 'Load photo'}
+                  <input
+                    type="file"
+                    accept="image/*"
+                    className="hidden"
+                    onChange={(e) => {
+                      uploadWallPhoto(e.target.files[0]);
+                      e.target.value = '';
+                    }}
+                  />
+                </label>
+                {photo && (
+                  <button onClick={() => setPhoto(null)} className="text-sm text-gray-600 hover:text-gray-800">
+                    Remove
+                  </button>
+                )}
+              </div>
+            </div>
+            {photo ? (
+              <PhotoOverlay photo={photo} results={results} artworks={artworks} units={units} onChange={setPhoto} />
+            ) : (
+              <p className="text-sm text-gray-600">
+                Load a straight-on photo of this wall to see the arrangement on it. Photos are saved with the room but left out of share links.
+              </p>
+            )}
           </div>
 
           <div className="bg-gradient-to-br from-blue-600 to-blue-700 rounded-xl p-6 text-white">
             <h2 className="text-2xl font-bold mb-4">Nail Placement Results</h2>
             <div className="space-y-4">
-              {results.map((result, index) => (
-                <div key={index} className="bg-white/10 backdrop-blur rounded-lg p-4">
-                  <div className="grid md:grid-cols-2 gap-4">
-                    <div>
-                      <p className="font-semibold text-lg mb-1">
-                        {result.position ? result.position : `Artwork ${result.artwork}`}
-                      </p>
-                      <p className="text-sm text-blue-100">Centroid: {result.centroid}{unitLabel} from floor</p>
-                    </div>
-                    <div className="space-y-2">
-                      <div className="bg-white/10 rounded p-3">
-                        <p className="text-xs text-blue-100 mb-1">Vertical Position</p>
-                        <p className="text-2xl font-bold">{result.nailHeight}{unitLabel} from floor</p>
-                      </div>
-                      <div className="bg-white/10 rounded p-3">
-                        <p className="text-xs text-blue-100 mb-1">Horizontal Position</p>
-                        {result.isDRing ? (
+              {results.map(result => {
+                // Errors on this artwork or the wall make its numbers meaningless, so show them instead.
+                const blocking = issues.filter(
+                  issue => issue.level === 'error' && (issue.artworkId == null || issue.artworkId === result.id)
+                );
+                const warnings = issues.filter(issue => issue.level === 'warning' && issue.artworkId === result.id);
+                const advice = fastenerAdvice(artworks[result.index], result, substrate, hardwareRules, units);
+                return (
+                  <div key={result.id} className="bg-white/10 backdrop-blur rounded-lg p-4">
+                    <div className="grid md:grid-cols-2 gap-4">
+                      <div>
+                        <div className="flex items-center gap-3 mb-1">
+                          <Thumbnail art={artworks[result.index]} size="w-12 h-12" />
                           <div>
-                            <p className="text-lg font-bold">
-                              Left: {result.horizontalDistance}{unitLabel} from left edge
-                            </p>
-                            <p className="text-lg font-bold mt-1">
-                              Right: {result.horizontalDistance2}{unitLabel} from left edge
+                            <p className="font-semibold text-lg">{result.name}</p>
+                            {result.position && <p className="text-sm text-blue-100">{result.position}</p>}
+                            <p className="text-sm text-blue-100">Height: {describeHeight(result.heightPolicy, wall, units)}</p>
+                            <p className={`text-sm ${advice.over ? 'font-semibold text-amber-200' : 'text-blue-100'}`}>
+                              {advice.over ? '⚠ ' : ''}Hardware: {advice.text}
                             </p>
                           </div>
-                        ) : (
-                          <p className="text-2xl font-bold">
-                            {result.horizontalDistance}{unitLabel} from {result.horizontalFromEdge} edge
-                          </p>
-                        )}
+                        </div>
+                        <p className="text-sm text-blue-100">Centroid: {formatLength(result.centroid, units)} from floor</p>
+                        {conflicts
+                          .filter(conflict => conflict.id === result.id)
+                          .map((conflict, i) => (
+                            <p key={i} className="mt-2 text-sm font-medium text-amber-200">⚠ {describeConflict(conflict)}</p>
+                          ))}
+                        {warnings.map((issue, i) => (
+                          <p key={`issue-${i}`} className="mt-2 text-sm font-medium text-amber-200">⚠ {describeIssue(issue, units)}</p>
+                        ))}
                       </div>
+                      {blocking.length > 0 ? (
+                        <div className="bg-red-900/40 border border-red-300/60 rounded p-3">
+                          <p className="text-sm font-semibold mb-1">No measurements until these are fixed:</p>
+                          {blocking.map((issue, i) => (
+                            <p key={i} className="text-sm text-red-100">✖ {describeIssue(issue, units)}</p>
+                          ))}
+                        </div>
+                      ) : (
+                        <div className="space-y-2">
+                          <div className="bg-white/10 rounded p-3">
+                            <p className="text-xs text-blue-100 mb-1">
+                              {result.rail ? `${MOUNTING_OPTIONS[result.mountingType].label} Top Edge` : 'Vertical Position'}
+                            </p>
+                            {new Set(result.nails.map(nail => formatLength(nail.fromDatum, units))).size > 1 ? (
+                              result.nails.map(nail => (
+                                <p key={nail.side} className="text-lg font-bold mt-1">
+                                  {nail.label}: {heightLabel(nail, result, units)}
+                                </p>
+                              ))
+                            ) : (
+                              <p className="text-2xl font-bold">{heightLabel(result.nails[0], result, units)}</p>
+                            )}
+                            {result.restDrop != null && (
+                              <p className="text-xs text-blue-100 mt-1">
+                                Wire rests {formatLength(Math.abs(result.restDrop), units)}{' '}
+                                {result.restDrop < 0 ? 'above' : 'below'} the top edge
+                              </p>
+                            )}
+                          </div>
+                          <div className="bg-white/10 rounded p-3">
+                            <p className="text-xs text-blue-100 mb-1">Horizontal Position</p>
+                            {result.rail && (
+                              <p className="text-lg font-bold">
+                                Rail: {formatLength(result.rail.distances[0], units)} to {formatLength(result.rail.distances[1], units)}{' '}
+                                from {result.horizontalFromEdge} edge
+                              </p>
+                            )}
+                            {result.nails.length > 1 ? (
+                              <div>
+                                {result.nails.map(nail => (
+                                  <p key={nail.side} className="text-lg font-bold mt-1">
+                                    {nail.label}: {formatLength(nail.distance, units)} from {result.horizontalFromEdge} edge
+                                  </p>
+                                ))}
+                              </div>
+                            ) : (
+                              <p className="text-2xl font-bold">
+                                {formatLength(result.nails[0].distance, units)} from {result.horizontalFromEdge} edge
+                              </p>
+                            )}
+                            {activeAnchor &&
+                              result.nails.map(nail => (
+                                <p key={nail.side} className="text-xs text-blue-100 mt-1">
+                                  {result.nails.length > 1 ? `${nail.label}: ` : ''}
+                                  {describeAnchorOffset(nail, activeAnchor, units)}
+                                </p>
+                              ))}
+                          </div>
+                        </div>
+                      )}
                     </div>
+                    {blocking.length === 0 && result.steps.vertical.length > 0 && (
+                      <div className="mt-4 pt-4 border-t border-white/20">
+                        <p className="text-xs font-semibold text-blue-100 mb-2">Vertical Calculation:</p>
+                        <p className="text-xs font-mono text-white bg-black/20 rounded p-2 break-all">
+                          {describeSteps(result.steps.vertical, units)}
+                        </p>
+                        <p className="text-xs font-semibold text-blue-100 mb-2 mt-3">Horizontal Calculation:</p>
+                        <p className="text-xs font-mono text-white bg-black/20 rounded p-2 break-all">
+                          {describeSteps(result.steps.horizontal, units)}
+                        </p>
+                      </div>
+                    )}
                   </div>
-                  {result.equation && (
-                    <div className="mt-4 pt-4 border-t border-white/20">
-                      <p className="text-xs font-semibold text-blue-100 mb-2">Vertical Calculation:</p>
-                      <p className="text-xs font-mono text-white bg-black/20 rounded p-2 break-all">
-                        {result.equation}
-                      </p>
-                      <p className="text-xs font-semibold text-blue-100 mb-2 mt-3">Horizontal Calculation:</p>
-                      <p className="text-xs font-mono text-white bg-black/20 rounded p-2 break-all">
-                        {result.horizontalEquation}
-                      </p>
-                    </div>
-                  )}
-                </div>
-              ))}
+                );
+              })}
             </div>
             <div className="mt-6 p-4 bg-white/10 rounded-lg">
               <p className="text-sm">
-                <strong>How to use:</strong> Measure {results[0]?.horizontalFromEdge === 'center' ? 'to the center of your wall' : 'from the left edge of your wall'} and mark the horizontal distance.
-                Then measure up from the floor to mark the vertical nail height.
-                The wire offset is the distance from the top of the frame to where the wire sits when pulled taut.
+                <strong>How to use:</strong> Measure from the {reference.edge} edge of your wall and mark the horizontal distance
+                {activeAnchor ? ` (the arrangement is centered on ${activeAnchor.label}, so you can also measure from there)` : ''}.
+                Then measure up from {datumName} to mark the vertical nail height.
+                Every mounting offset is measured down from the top of the frame to where the hardware rests on the nail.
               </p>
             </div>
+            <div className="mt-4 flex flex-wrap gap-3">
+              <button
+                onClick={() => setPrintMode('sheet')}
+                disabled={errors.length > 0}
+                className="px-4 py-2 bg-white text-blue-700 rounded-lg hover:bg-blue-50 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Print installation sheet
+              </button>
+              <button
+                onClick={() => setPrintMode('templates')}
+                disabled={errors.length > 0}
+                className="px-4 py-2 bg-white/20 text-white rounded-lg hover:bg-white/30 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Print 1:1 nail templates
+              </button>
+              <button
+                onClick={exportResultsCsv}
+                disabled={errors.length > 0}
+                className="px-4 py-2 bg-white/20 text-white rounded-lg hover:bg-white/30 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Export CSV
+              </button>
+            </div>
+            {errors.length > 0 && (
+              <div className="mt-3 bg-red-900/40 border border-red-300/60 rounded p-3">
+                <p className="text-sm font-semibold mb-1">Fix these before printing or exporting:</p>
+                {errors.map((issue, i) => {
+                  const result = results.find(r => r.id === issue.artworkId);
+                  return (
+                    <p key={i} className="text-sm text-red-100">
+                      ✖ {result ? `${result.name}: ` : ''}{describeIssue(issue, units)}
+                    </p>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+
+          <HardwareRulesTable rules={hardwareRules} units={units} substrate={substrate} onChange={setHardwareRules} />
+
+          <InstallationGuide
+            key={wall.id}
+            results={results}
+            blocked={errors.length > 0}
+            laserFrom={!datum.level && datum.floorLeft !== datum.floorRight ? `${datumName} at the ${reference.edge} edge` : datumName}
+            installation={installation}
+            units={units}
+            onChange={setInstallation}
+          />
+
+          <div className="mt-8">
+            <ArtworkInventory
+              inventory={inventory}
+              walls={walls}
+              units={units}
+              onAdd={addToInventory}
+              onUpdate={updateArtwork}
+              onRemove={removeArtwork}
+            />
+            <RoomNailSummary walls={walls} inventory={inventory} units={units} />
           </div>
         </div>
       </div>
@@ -0,0 +1,327 @@
+// arrange.js
+// Auto arrange: proposes grid shapes, orderings and freeform packings for the current
+// artworks and ranks them by visual balance, symmetry and edge alignment.
+// A candidate carries everything needed to apply it: configuration, layout and the
+// reordered artworks (with freeform positions for packings).
+
+(function (root) {
+  const Engine = typeof module === 'object' && module.exports ? require('./engine.js') : root.PlacementEngine;
+
+  // Edges closer than this (in cm) count as lined up.
+  const ALIGN_TOLERANCE = 0.5;
+  // Improvement passes over the best grid candidates; each pass tries every pair swap.
+  const SWAP_PASSES = 2;
+  const SWAP_SEEDS = 4;
+  const MAX_SWAP_ARTWORKS = 16;
+
+  const area = a => Math.max(0, a.width) * Math.max(0, a.height);
+
+  const overlapArea = (a, b) =>
+    Math.max(0, Math.min(a.right, b.right) - Math.max(a.left, b.left)) *
+    Math.max(0, Math.min(a.top, b.top) - Math.max(a.bottom, b.bottom));
+
+  const frameArea = f => (f.right - f.left) * (f.top - f.bottom);
+
+  const bounds = frames => ({
+    left: Math.min(...frames.map(f => f.left)),
+    right: Math.max(...frames.map(f => f.right)),
+    bottom: Math.min(...frames.map(f => f.bottom)),
+    top: Math.max(...frames.map(f => f.top))
+  });
+
+  // Each score is 0..1.
+  // balance: how close the area-weighted centre of the frames is to the middle of the group.
+  // symmetry: how well each frame matches some frame of the group's mirror image.
+  // alignment: share of frame edges and centre lines that line up with another frame's.
+  const scoreFrames = frames => {
+    const box = bounds(frames);
+    const cx = (box.left + box.right) / 2;
+    const cy = (box.bottom + box.top) / 2;
+    const halfWidth = (box.right - box.left) / 2 || 1;
+    const halfHeight = (box.top - box.bottom) / 2 || 1;
+
+    const mass = frames.reduce((sum, f) => sum + frameArea(f), 0) || 1;
+    const mx = frames.reduce((sum, f) => sum + frameArea(f) * (f.left + f.right) / 2, 0) / mass;
+    const my = frames.reduce((sum, f) => sum + frameArea(f) * (f.bottom + f.top) / 2, 0) / mass;
+    const balance = 1 - Math.min(1, Math.hypot((mx - cx) / halfWidth, (my - cy) / halfHeight));
+
+    const mirrored = frames.map(f => ({ left: 2 * cx - f.right, right: 2 * cx - f.left, bottom: f.bottom, top: f.top }));
+    const symmetry =
+      frames.reduce((sum, f) => {
+        const best = Math.max(
+          ...mirrored.map(m => {
+            const shared = overlapArea(f, m);
+            return shared / (frameArea(f) + frameArea(m) - shared || 1);
+          })
+        );
+        return sum + best;
+      }, 0) / frames.length;
+
+    const lines = f => ({
+      x: [f.left, (f.left + f.right) / 2, f.right],
+      y: [f.bottom, (f.bottom + f.top) / 2, f.top]
+    });
+    const all = frames.map(lines);
+    let aligned = 0;
+    all.forEach((own, i) => {
+      ['x', 'y'].forEach(axis => {
+        own[axis].forEach(value => {
+          const matched = all.some((other, j) => j !== i && other[axis].some(v => Math.abs(v - value) <= ALIGN_TOLERANCE));
+          if (matched) aligned++;
+        });
+      });
+    });
+    const alignment = frames.length > 1 ? aligned / (frames.length * 6) : 1;
+
+    return { balance, symmetry, alignment, total: (balance + symmetry + alignment) / 3 };
+  };
+
+  // Runs a candidate through the engine and scores it. Returns null for candidates that do not
+  // fit the wall or put a frame below the floor.
+  // A group moved off its hanging height to keep a clearance costs the share of its height it
+  // moved, so tall stacks that only fit by being raised off the floor rank below the rest.
+  const evaluate = (candidate, context) => {
+    const plan = {
+      wall: context.wall,
+      artworks: candidate.artworks,
+      layout: { ...context.layout, ...candidate.layout },
+      configuration: candidate.configuration,
+      furniture: context.furniture
+    };
+    const placements = Engine.computePlacements(plan);
+    const blocking = Engine.validatePlan(plan, placements).filter(
+      issue => issue.level === 'error' && (issue.artworkId == null || issue.field == null)
+    );
+    if (blocking.length > 0) return null;
+
+    const conflicts = Engine.findConflicts(placements, context.obstacles).length;
+    const frames = placements.map(p => p.frame);
+    const scores = scoreFrames(frames);
+    const box = bounds(frames);
+    const shift = Math.max(0, ...placements.filter(p => p.heightPolicy.limit).map(p => Math.abs(p.heightPolicy.shift)));
+    const moved = Math.min(1, shift / (box.top - box.bottom || 1));
+    // Each obstacle conflict costs a tenth of the total.
+    return { ...candidate, placements, conflicts, scores: { ...scores, moved, total: scores.total - conflicts * 0.1 - moved } };
+  };
+
+  // Grid shapes whose top row is not empty, narrowest first.
+  const gridShapes = count => {
+    const shapes = [];
+    for (let rows = 1; rows <= count; rows++) {
+      const cols = Math.ceil(count / rows);
+      if ((rows - 1) * cols < count && !shapes.some(s => s.rows === rows && s.cols === cols)) shapes.push({ rows, cols });
+    }
+    return shapes;
+  };
+
+  const byArea = artworks => [...artworks].sort((a, b) => area(b) - area(a));
+
+  // Orderings of the artworks for a grid. Cells fill row by row from the bottom, so only the
+  // first `count` cells exist.
+  const gridOrderings = (artworks, { rows, cols }) => {
+    const count = artworks.length;
+    const cells = Array.from({ length: count }, (_, i) => ({ index: i, row: Math.floor(i / cols), col: i % cols }));
+    const rowCount = Math.min(rows, Math.ceil(count / cols));
+    const centre = { row: (rowCount - 1) / 2, col: (cols - 1) / 2 };
+
+    // Largest pieces in the most central cells; mirror cells in a row are taken one after the
+    // other so pieces of similar size face each other.
+    const centralCells = [...cells].sort(
+      (a, b) =>
+        Math.hypot(a.row - centre.row, a.col - centre.col) - Math.hypot(b.row - centre.row, b.col - centre.col) ||
+        a.row - b.row ||
+        a.col - b.col
+    );
+    const centred = new Array(count);
+    byArea(artworks).forEach((art, i) => {
+      centred[centralCells[i].index] = art;
+    });
+
+    // Similar heights share a row, the tallest row in the middle.
+    const byHeight = [...artworks].sort((a, b) => b.height - a.height);
+    const rowOrder = Array.from({ length: rowCount }, (_, r) => r).sort(
+      (a, b) => Math.abs(a - centre.row) - Math.abs(b - centre.row) || a - b
+    );
+    const rowsByHeight = new Array(count);
+    let next = 0;
+    rowOrder.forEach(row => {
+      cells
+        .filter(cell => cell.row === row)
+        .sort((a, b) => Math.abs(a.col - centre.col) - Math.abs(b.col - centre.col) || a.col - b.col)
+        .forEach(cell => {
+          rowsByHeight[cell.index] = byHeight[next++];
+        });
+    });
+
+    return [
+      { label: 'as entered', artworks },
+      { label: 'largest in the middle', artworks: centred },
+      { label: 'rows of similar height', artworks: rowsByHeight }
+    ];
+  };
+
+  const GRID_ALIGNMENTS = [
+    { label: 'centerline rows', rowAlign: 'center', colAlign: 'center' },
+    { label: 'top-aligned rows', rowAlign: 'top', colAlign: 'center' }
+  ];
+
+  const gridCandidates = (artworks, gap) =>
+    gridShapes(artworks.length).flatMap(shape =>
+      gridOrderings(artworks, shape).flatMap(ordering =>
+        GRID_ALIGNMENTS.map(align => ({
+          label: `${shape.rows} × ${shape.cols} grid, ${ordering.label}, ${align.label}`,
+          configuration: 'custom',
+          layout: {
+            rows: shape.rows,
+            cols: shape.cols,
+            horizontalGap: gap,
+            verticalGap: gap,
+            rowAlign: align.rowAlign,
+            colAlign: align.colAlign,
+            rowCounts: [],
+            rowAlignments: {},
+            colAlignments: {}
+          },
+          artworks: ordering.artworks
+        }))
+      )
+    );
+
+  // Tries every pair swap and keeps improvements, a few passes over the whole order.
+  const improveBySwaps = (candidate, context) => {
+    let best = candidate;
+    for (let pass = 0; pass < SWAP_PASSES; pass++) {
+      let improved = false;
+      for (let i = 0; i < best.artworks.length; i++) {
+        for (let j = i + 1; j < best.artworks.length; j++) {
+          const order = [...best.artworks];
+          [order[i], order[j]] = [order[j], order[i]];
+          const trial = evaluate({ ...best, artworks: order }, context);
+          if (trial && trial.scores.total > best.scores.total + 1e-9) {
+            best = trial;
+            improved = true;
+          }
+        }
+      }
+      if (!improved) break;
+    }
+    return best.artworks === candidate.artworks
+      ? candidate
+      : { ...best, label: best.label.replace(/, [^,]+, /, ', rebalanced, ') };
+  };
+
+  const intersects = (a, b, gap) =>
+    a.left < b.right + gap - 1e-9 && a.right > b.left - gap + 1e-9 && a.bottom < b.top + gap - 1e-9 && a.top > b.bottom - gap + 1e-9;
+
+  // Salon packing around the first piece: every next piece goes beside an already placed one,
+  // `gap` away and lined up with its start, centre or end, wherever the group stays most
+  // compact and balanced. Frames are relative to the first piece's centre.
+  const pack = (artworks, gap) => {
+    const frames = [];
+    artworks.forEach((art, i) => {
+      const w = art.width;
+      const h = art.height;
+      if (i === 0) {
+        frames.push({ left: -w / 2, right: w / 2, bottom: -h / 2, top: h / 2 });
+        return;
+      }
+      let best = null;
+      frames.forEach(f => {
+        const cx = (f.left + f.right) / 2;
+        const cy = (f.bottom + f.top) / 2;
+        const xs = [f.left + w / 2, cx, f.right - w / 2];
+        const ys = [f.bottom + h / 2, cy, f.top - h / 2];
+        const spots = [
+          ...ys.map(y => ({ x: f.right + gap + w / 2, y })),
+          ...ys.map(y => ({ x: f.left - gap - w / 2, y })),
+          ...xs.map(x => ({ x, y: f.top + gap + h / 2 })),
+          ...xs.map(x => ({ x, y: f.bottom - gap - h / 2 }))
+        ];
+        spots.forEach(({ x, y }) => {
+          const frame = { left: x - w / 2, right: x + w / 2, bottom: y - h / 2, top: y + h / 2 };
+          if (frames.some(other => intersects(frame, other, gap))) return;
+          const trial = [...frames, frame];
+          const box = bounds(trial);
+          const cost = (box.right - box.left + gap) * (box.top - box.bottom + gap) * (2 - scoreFrames(trial).total);
+          if (!best || cost < best.cost) best = { frame, cost };
+        });
+      });
+      frames.push(best.frame);
+    });
+    return frames;
+  };
+
+  const PACKING_ORDERS = [
+    { label: 'largest first', order: byArea },
+    { label: 'tallest first', order: artworks => [...artworks].sort((a, b) => b.height - a.height) },
+    { label: 'widest first', order: artworks => [...artworks].sort((a, b) => b.width - a.width) }
+  ];
+
+  const packingCandidates = (artworks, gap, context) =>
+    PACKING_ORDERS.map(({ label, order }) => {
+      const ordered = order(artworks);
+      const frames = pack(ordered, gap);
+      const box = bounds(frames);
+      const centre = Engine.groupCenter(context, box.top - box.bottom);
+      const dx = centre.centerX - (box.left + box.right) / 2;
+      const dy = centre.centroid - (box.bottom + box.top) / 2;
+      return {
+        label: `Salon packing, ${label}`,
+        configuration: 'freeform',
+        layout: { horizontalGap: gap, verticalGap: gap },
+        artworks: ordered.map((art, i) => ({
+          ...art,
+          freeformX: (frames[i].left + frames[i].right) / 2 + dx,
+          freeformY: (frames[i].bottom + frames[i].top) / 2 + dy
+        }))
+      };
+    });
+
+  // Ranked candidates, best first: { label, configuration, layout, artworks, placements,
+  // conflicts, scores: { balance, symmetry, alignment, total } }. context is
+  // { wall, artworks, layout, furniture, obstacles } as the calculator holds them.
+  const suggestArrangements = (context, { limit = 6 } = {}) => {
+    // Suggestions give every piece a single grid cell.
+    const artworks = context.artworks.map(art => ({ ...art, rowSpan: 1, colSpan: 1 }));
+    if (artworks.length < 2 || artworks.some(art => !(art.width > 0 && art.height > 0))) return [];
+    const gap = Math.max(0, Number(context.layout.horizontalGap) || 0);
+
+    const grids = gridCandidates(artworks, gap)
+      .map(candidate => evaluate(candidate, context))
+      .filter(Boolean)
+      .sort((a, b) => b.scores.total - a.scores.total);
+    const refined =
+      artworks.length <= MAX_SWAP_ARTWORKS ? grids.slice(0, SWAP_SEEDS).map(c => improveBySwaps(c, context)) : [];
+    const packings = packingCandidates(artworks, gap, context)
+      .map(candidate => evaluate(candidate, context))
+      .filter(Boolean);
+
+    // One candidate per shape and order (whichever alignment scores better), at most two per
+    // grid shape so the list shows different shapes, and always the best salon packing.
+    const seen = new Set();
+    const perShape = {};
+    const ranked = [...refined, ...grids]
+      .sort((a, b) => b.scores.total - a.scores.total)
+      .filter(candidate => {
+        const shape = `${candidate.layout.rows}x${candidate.layout.cols}`;
+        const key = `${shape}|${candidate.artworks.map(art => art.id).join(',')}`;
+        if (seen.has(key) || (perShape[shape] || 0) >= 2) return false;
+        seen.add(key);
+        perShape[shape] = (perShape[shape] || 0) + 1;
+        return true;
+      });
+    const bestPacking = packings.sort((a, b) => b.scores.total - a.scores.total)[0];
+    const gridSlots = bestPacking ? limit - 1 : limit;
+    return [...ranked.slice(0, gridSlots), ...(bestPacking ? [bestPacking] : [])].sort(
+      (a, b) => b.scores.total - a.scores.total
+    );
+  };
+
+  const AutoArrange = { scoreFrames, suggestArrangements };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = AutoArrange;
+  } else {
+    root.AutoArrange = AutoArrange;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
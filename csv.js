@@ -0,0 +1,215 @@
+// csv.js
+// Spreadsheet exchange: artwork measurements in from CSV, nail results out to CSV.
+// Imported lengths and weights without a unit are read in the column's unit when its header
+// names one ("Width (in)", "Weight (kg)"), otherwise in the display unit.
+
+(function (root) {
+  const Units = typeof module === 'object' && module.exports ? require('./units.js') : root.Units;
+
+  // Artwork fields a column can fill. kind decides how a cell is read.
+  const IMPORT_FIELDS = {
+    title: { label: 'Title', kind: 'text', aliases: ['name', 'artwork', 'piece'] },
+    artist: { label: 'Artist', kind: 'text' },
+    width: { label: 'Width', kind: 'length', aliases: ['w'] },
+    height: { label: 'Height', kind: 'length', aliases: ['h'] },
+    weight: { label: 'Weight', kind: 'weight' },
+    mountingType: { label: 'Mounting type', kind: 'mounting', aliases: ['mounting', 'hardware', 'hanger'] },
+    wireOffset: { label: 'Wire offset', kind: 'length', aliases: ['wire drop'] },
+    hangerOffset: { label: 'Hanger offset', kind: 'length' },
+    mountingVerticalOffset: { label: 'D-ring vertical offset', kind: 'length', aliases: ['vertical offset', 'd-ring offset'] },
+    mountingHorizontalOffset: { label: 'D-ring horizontal offset', kind: 'length', aliases: ['horizontal offset', 'd-ring inset'] },
+    wireLength: { label: 'Wire length', kind: 'length' },
+    wireAttachDrop: { label: 'Wire attachment drop', kind: 'length', aliases: ['attachment drop'] },
+    wireAttachInset: { label: 'Wire attachment inset', kind: 'length', aliases: ['attachment inset'] },
+    wireNailSpacing: { label: 'Wire nail spacing', kind: 'length', aliases: ['nail spacing'] },
+    sawtoothOffset: { label: 'Sawtooth offset', kind: 'length' },
+    keyholeOffset: { label: 'Keyhole offset', kind: 'length' },
+    keyholeSpacing: { label: 'Keyhole spacing', kind: 'length' },
+    railLength: { label: 'Rail length', kind: 'length', aliases: ['cleat length'] },
+    railOffset: { label: 'Rail offset', kind: 'length', aliases: ['lip offset'] },
+    screwSpacing: { label: 'Max screw spacing', kind: 'length', aliases: ['screw spacing'] },
+    rowSpan: { label: 'Rows spanned', kind: 'count', aliases: ['row span'] },
+    colSpan: { label: 'Columns spanned', kind: 'count', aliases: ['column span', 'col span'] }
+  };
+
+  // Mounting type names as people write them, squeezed to letters.
+  const MOUNTING_NAMES = {
+    wire: 'wire',
+    wirefromlength: 'wireLength',
+    wirelength: 'wireLength',
+    dring: 'dring',
+    drings: 'dring',
+    dringsidemounts: 'dring',
+    sidemounts: 'dring',
+    centerdring: 'centerDring',
+    centredring: 'centerDring',
+    singlecenterdring: 'centerDring',
+    sawtooth: 'sawtooth',
+    sawtoothhanger: 'sawtooth',
+    keyhole: 'keyhole',
+    keyholes: 'keyhole',
+    cleat: 'cleat',
+    frenchcleat: 'cleat',
+    zbar: 'zbar'
+  };
+
+  // Units a header can name, by the kind of field they apply to.
+  const HEADER_UNITS = {
+    length: { in: 'inches', inch: 'inches', inches: 'inches', '"': 'inches', cm: 'cm', mm: 'mm' },
+    weight: { kg: 'kg', kgs: 'kg', g: 'g', lb: 'lb', lbs: 'lb', pound: 'lb', pounds: 'lb', oz: 'oz' }
+  };
+
+  const squeeze = text => String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+  // Rows of cells. Handles quoted cells with commas, quotes and line breaks, and reads
+  // semicolon- or tab-separated files when the first line has more of those than commas.
+  const parseCsv = text => {
+    const source = String(text).replace(/^﻿/, '');
+    const firstLine = source.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t'].reduce((best, d) => (firstLine.split(d).length > firstLine.split(best).length ? d : best), ',');
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+      if (quoted) {
+        if (char === '"' && source[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && source[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+    if (cell !== '' || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+    return rows.filter(r => r.some(c => c.trim() !== ''));
+  };
+
+  // The unit of the given kind named in a header such as "Width (in)" or "Weight (lb)", or null.
+  const headerUnit = (header, kind) => {
+    const match = /\(([^)]*)\)\s*$/.exec(header);
+    const units = HEADER_UNITS[kind];
+    return match && units ? units[match[1].trim().toLowerCase()] || null : null;
+  };
+
+  // The field each header most likely means, or '' to ignore the column.
+  const guessMapping = headers => {
+    const used = new Set();
+    return headers.map(header => {
+      const name = squeeze(header.replace(/\([^)]*\)\s*$/, ''));
+      const match = Object.entries(IMPORT_FIELDS).find(
+        ([field, { label, aliases = [] }]) =>
+          !used.has(field) && [field, label, ...aliases].some(candidate => squeeze(candidate) === name)
+      );
+      if (!match) return '';
+      used.add(match[0]);
+      return match[0];
+    });
+  };
+
+  const readCell = (kind, text, unit) => {
+    if (kind === 'text') return { value: text };
+    if (kind === 'length') {
+      const value = Units.parseLength(text, unit);
+      return value == null || value < 0 ? { error: `"${text}" is not a length` } : { value };
+    }
+    if (kind === 'weight') {
+      const value = Units.parseWeight(text, unit);
+      return value == null ? { error: `"${text}" is not a weight` } : { value };
+    }
+    if (kind === 'count') {
+      return /^\d+$/.test(text) && Number(text) > 0 ? { value: Number(text) } : { error: `"${text}" is not a whole number` };
+    }
+    const type = MOUNTING_NAMES[squeeze(text)];
+    return type ? { value: type } : { error: `"${text}" is not a mounting type` };
+  };
+
+  // Artwork fields for each data row under `headers`, using mapping[column] as the field.
+  // Rows with a cell that cannot be read, or without a width and height, are left out and
+  // reported as { row, messages } with row counted as in a spreadsheet (header is row 1).
+  const importArtworks = (headers, rows, mapping, units) => {
+    const artworks = [];
+    const errors = [];
+
+    rows.forEach((cells, r) => {
+      const art = {};
+      const messages = [];
+      mapping.forEach((field, column) => {
+        const text = (cells[column] || '').trim();
+        if (!field || text === '') return;
+        const { kind } = IMPORT_FIELDS[field];
+        const { value, error } = readCell(kind, text, headerUnit(headers[column], kind) || units);
+        if (error) messages.push(`${headers[column]}: ${error}`);
+        else art[field] = value;
+      });
+      if (!(art.width > 0)) messages.push('No width');
+      if (!(art.height > 0)) messages.push('No height');
+      if (messages.length > 0) errors.push({ row: r + 2, messages });
+      else artworks.push(art);
+    });
+
+    return { artworks, errors };
+  };
+
+  const quote = value => {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const toCsv = rows => rows.map(row => row.map(quote).join(',')).join('\r\n') + '\r\n';
+
+  // A length as a plain number in the display unit, rounded as a tape measure reads.
+  const csvLength = (cm, units) => +Units.toUnit(Units.roundToTape(cm, units), units).toFixed(4);
+
+  // One row per nail or screw: artwork, position, nail, height above the wall's datum and
+  // horizontal distance.
+  const resultsCsv = (placements, { units, wallName }) => {
+    const unit = Units.UNITS[units].label;
+    const rows = [
+      ['Wall', 'Artwork', 'Position', 'Nail', `Nail height (${unit})`, 'Height above', `Horizontal distance (${unit})`, 'Measured from']
+    ];
+    placements.forEach(p =>
+      p.nails.forEach(nail =>
+        rows.push([
+          wallName,
+          p.name,
+          p.position || '',
+          nail.label,
+          csvLength(nail.fromDatum, units),
+          p.verticalFrom,
+          csvLength(nail.distance, units),
+          `${p.horizontalFromEdge} edge`
+        ])
+      )
+    );
+    return toCsv(rows);
+  };
+
+  const ArtCsv = { IMPORT_FIELDS, parseCsv, guessMapping, importArtworks, resultsCsv };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = ArtCsv;
+  } else {
+    root.ArtCsv = ArtCsv;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,1006 @@
+// engine.js
+// Placement engine for the Art Hanging Calculator.
+// Plain functions with no React or DOM access: give it a wall, the artworks and a layout
+// and it returns numeric nail coordinates plus the steps used to derive them.
+//
+// Coordinates: x is measured from the left edge of the wall, y is measured up from the floor.
+
+(function (root) {
+  const num = value => value || 0;
+
+  // A derivation step. `expr` uses {0}, {1}, ... placeholders for `args` so the UI can
+  // format every measurement the same way.
+  const step = (label, expr, args, value) => ({ label, expr, args, value });
+
+  // One hanging point straight down from the top edge at the frame's centre line:
+  // wire, sawtooth hanger, single centre D-ring.
+  const centerPoint = (offset, pointLabel = 'Nail') => (art, { centerX, centroid, height, hanger }) => {
+    const y = centroid + height / 2 - offset + hanger;
+    return {
+      nails: [{ x: centerX, y, side: 'center', label: pointLabel }],
+      vertical: [step(`${pointLabel} Height`, '{0} + ({1} / 2) - {2} + {3}', [centroid, height, offset, hanger], y)],
+      horizontal: []
+    };
+  };
+
+  // Wall cleat or Z-bar: a level rail whose top edge sits `offset` below the frame top,
+  // fixed with evenly spaced screws no further apart than screwSpacing.
+  const railPoints = name => (art, { centerX, centroid, height }) => {
+    const length = num(art.railLength);
+    const offset = num(art.railOffset);
+    const maxSpacing = num(art.screwSpacing);
+    const y = centroid + height / 2 - offset;
+    const left = centerX - length / 2;
+    const count = Math.max(2, maxSpacing > 0 ? Math.ceil(length / maxSpacing) : 2);
+    const spacing = length / count;
+    const nails = Array.from({ length: count }, (_, i) => ({
+      x: left + spacing * (i + 0.5),
+      y,
+      side: `screw-${i + 1}`,
+      label: `Screw ${i + 1}`
+    }));
+
+    return {
+      nails,
+      rail: { left, right: left + length, y },
+      vertical: [step(`${name} Top Edge`, '{0} + ({1} / 2) - {2}', [centroid, height, offset], y)],
+      horizontal: [
+        step(`${name} Left End`, '{0} - ({1} / 2)', [centerX, length], left),
+        step('Screw Spacing', `{0} / ${count}`, [length], spacing),
+        step('First Screw', '{0} + ({1} / 2)', [left, spacing], left + spacing / 2)
+      ]
+    };
+  };
+
+  // Wire entered as its length and attachment points rather than a measured taut offset.
+  // The wire runs from each attachment up to the nail, or on two nails up to the nearer
+  // nail and straight across between them, so its rise follows from Pythagoras.
+  const wireFromLength = art => (_, { centerX, centroid, width, height, hanger }) => {
+    const length = num(art.wireLength);
+    const drop = num(art.wireAttachDrop);
+    const inset = num(art.wireAttachInset);
+    const spacing = num(art.wireNailSpacing);
+    const halfSpan = width / 2 - inset;
+    const run = Math.abs(halfSpan - spacing / 2);
+    const slant = (length - spacing) / 2;
+    const rise = Math.sqrt(Math.max(0, slant * slant - run * run));
+    const restDrop = drop - rise;
+    const y = centroid + height / 2 - restDrop + hanger;
+
+    const vertical = [
+      step('Attachment Half-Span', '({0} / 2) - {1}', [width, inset], halfSpan),
+      spacing > 0
+        ? step('Wire Rise', '√(((({0} - {1}) / 2)² - ({2} - ({1} / 2))²)', [length, spacing, halfSpan], rise)
+        : step('Wire Rise', '√(({0} / 2)² - {1}²)', [length, halfSpan], rise),
+      step('Rest Point Drop', '{0} - {1}', [drop, rise], restDrop),
+      step('Nail Height', '{0} + ({1} / 2) - {2} + {3}', [centroid, height, restDrop, hanger], y)
+    ];
+
+    if (spacing <= 0) {
+      return { nails: [{ x: centerX, y, side: 'center', label: 'Nail' }], restDrop, vertical, horizontal: [] };
+    }
+    const leftX = centerX - spacing / 2;
+    const rightX = centerX + spacing / 2;
+    return {
+      nails: [
+        { x: leftX, y, side: 'left', label: 'Left nail' },
+        { x: rightX, y, side: 'right', label: 'Right nail' }
+      ],
+      restDrop,
+      vertical,
+      horizontal: [
+        step('Left Nail', '{0} - ({1} / 2)', [centerX, spacing], leftX),
+        step('Right Nail', '{0} + ({1} / 2)', [centerX, spacing], rightX)
+      ]
+    };
+  };
+
+  // Math for each mounting type. Offsets are measured down from the frame's top edge;
+  // hangerOffset is how far the nail sits above the point the hardware rests on.
+  const HARDWARE = {
+    wire: art => centerPoint(num(art.wireOffset)),
+    wireLength: wireFromLength,
+    dring: () => (art, { centerX, centroid, width, height, hanger }) => {
+      const top = centroid + height / 2;
+      const drop = num(art.mountingVerticalOffset);
+      const inset = num(art.mountingHorizontalOffset);
+      const nailHeight = top - drop + hanger;
+      const leftX = centerX - width / 2 + inset;
+      const rightX = centerX + width / 2 - inset;
+
+      return {
+        nails: [
+          { x: leftX, y: nailHeight, side: 'left', label: 'Left nail' },
+          { x: rightX, y: nailHeight, side: 'right', label: 'Right nail' }
+        ],
+        vertical: [
+          step('Frame Top', '{0} + ({1} / 2)', [centroid, height], top),
+          step('Nail Height', '{0} - {1} + {2}', [top, drop, hanger], nailHeight)
+        ],
+        horizontal: [
+          step('Left Nail', '{0} - ({1} / 2) + {2}', [centerX, width, inset], leftX),
+          step('Right Nail', '{0} + ({1} / 2) - {2}', [centerX, width, inset], rightX)
+        ]
+      };
+    },
+    centerDring: art => centerPoint(num(art.mountingVerticalOffset)),
+    sawtooth: art => centerPoint(num(art.sawtoothOffset)),
+    // One keyhole on the centre line, or two spaced keyholeSpacing apart.
+    keyhole: art => {
+      const spacing = num(art.keyholeSpacing);
+      if (spacing <= 0) return centerPoint(num(art.keyholeOffset), 'Screw');
+      return (_, { centerX, centroid, height, hanger }) => {
+        const offset = num(art.keyholeOffset);
+        const y = centroid + height / 2 - offset + hanger;
+        const leftX = centerX - spacing / 2;
+        const rightX = centerX + spacing / 2;
+        return {
+          nails: [
+            { x: leftX, y, side: 'left', label: 'Left screw' },
+            { x: rightX, y, side: 'right', label: 'Right screw' }
+          ],
+          vertical: [step('Screw Height', '{0} + ({1} / 2) - {2} + {3}', [centroid, height, offset, hanger], y)],
+          horizontal: [
+            step('Left Screw', '{0} - ({1} / 2)', [centerX, spacing], leftX),
+            step('Right Screw', '{0} + ({1} / 2)', [centerX, spacing], rightX)
+          ]
+        };
+      };
+    },
+    cleat: () => railPoints('Cleat'),
+    zbar: () => railPoints('Z-Bar')
+  };
+
+  // Hanging points for one artwork whose centre sits at (centerX, centroid):
+  // { nails: [{ x, y, side, label }], rail?, restDrop?, vertical, horizontal }.
+  const hangingPoints = (art, centerX, centroid) => {
+    const hardware = HARDWARE[art.mountingType] || HARDWARE.wire;
+    return hardware(art)(art, {
+      centerX,
+      centroid,
+      width: num(art.width),
+      height: num(art.height),
+      hanger: num(art.hangerOffset)
+    });
+  };
+
+  // The artwork's title, or its number in the arrangement when it has none.
+  const artworkName = (art, index) => (art.title && art.title.trim()) || `Artwork ${index + 1}`;
+
+  const placement = (art, index, { centerX, centroid, position, vertical, horizontal, heightPolicy }) => {
+    const width = num(art.width);
+    const height = num(art.height);
+    const points = hangingPoints(art, centerX, centroid);
+
+    return {
+      index,
+      artwork: index + 1,
+      name: artworkName(art, index),
+      id: art.id,
+      position,
+      centroid,
+      centerX,
+      frame: {
+        left: centerX - width / 2,
+        right: centerX + width / 2,
+        bottom: centroid - height / 2,
+        top: centroid + height / 2
+      },
+      nails: points.nails,
+      rail: points.rail || null,
+      restDrop: points.restDrop != null ? points.restDrop : null,
+      nailHeight: points.nails[0].y,
+      heightPolicy,
+      mountingType: HARDWARE[art.mountingType] ? art.mountingType : 'wire',
+      steps: {
+        vertical: [...vertical, ...points.vertical],
+        horizontal: [...horizontal, ...points.horizontal]
+      }
+    };
+  };
+
+  // How high a group hangs. Each rule gives the centroid for a group of the given height.
+  const HEIGHT_POLICIES = {
+    centroid: 'Fixed centroid',
+    eyeLevel: 'Eye level',
+    ceiling: 'Proportion of ceiling height',
+    bottomEdge: 'Fixed bottom edge'
+  };
+
+  // Eyes sit at about 93.5% of standing height.
+  const EYE_HEIGHT_RATIO = 0.935;
+
+  const policyCentroid = (policy, targetCentroid, groupHeight) => {
+    if (policy.type === 'eyeLevel') {
+      const value = policy.viewerHeight * EYE_HEIGHT_RATIO;
+      return { value, steps: [step('Eye Level', `{0} × ${EYE_HEIGHT_RATIO}`, [policy.viewerHeight], value)] };
+    }
+    if (policy.type === 'ceiling') {
+      const value = policy.ceilingHeight * policy.ceilingProportion;
+      return {
+        value,
+        steps: [step('Ceiling Proportion', `{0} × ${+policy.ceilingProportion.toFixed(3)}`, [policy.ceilingHeight], value)]
+      };
+    }
+    if (policy.type === 'bottomEdge') {
+      const value = policy.bottomEdge + groupHeight / 2;
+      return { value, steps: [step('Target Centroid', '{0} + ({1} / 2)', [policy.bottomEdge, groupHeight], value)] };
+    }
+    return { value: targetCentroid, steps: [] };
+  };
+
+  // Moves a centroid down to keep the group's top below the ceiling clearance, then up to keep
+  // its bottom above the floor clearance; shift is how far it moved, positive up. validatePlan
+  // warns about the move and reports a group that fits neither way.
+  const withinLimits = (policy, target, groupHeight) => {
+    const half = groupHeight / 2;
+    let { value, steps } = target;
+    let limit = null;
+    if (policy.ceilingHeight > 0 && value + half > policy.ceilingHeight - policy.ceilingClearance) {
+      value = policy.ceilingHeight - policy.ceilingClearance - half;
+      limit = 'ceiling';
+      steps = [
+        ...steps,
+        step('Ceiling Limit', '{0} - {1} - ({2} / 2)', [policy.ceilingHeight, policy.ceilingClearance, groupHeight], value)
+      ];
+    }
+    if (value - half < policy.floorClearance) {
+      value = policy.floorClearance + half;
+      limit = 'floor';
+      steps = [...steps, step('Floor Limit', '{0} + ({1} / 2)', [policy.floorClearance, groupHeight], value)];
+    }
+    return { value, steps, policy: { type: policy.type, limit, shift: value - target.value } };
+  };
+
+  // Where a group is anchored. By default it is centred on the wall at the height its policy
+  // gives. With furniture, the group is centred on the piece and its bottom edge sits above the
+  // furniture top by the chosen gap, never less than the minimum clearance.
+  const buildAnchor = (wall, furniture) => {
+    if (furniture && furniture.enabled) {
+      const x = num(furniture.x);
+      const width = num(furniture.width);
+      const top = num(furniture.height);
+      const gap = num(furniture.gap);
+      const minClearance = num(furniture.minClearance);
+      const centerX = x + width / 2;
+      const clearance = Math.max(gap, minClearance);
+      const bottom = top + clearance;
+
+      return {
+        centerX,
+        centerSteps: [step('Furniture Center', '{0} + ({1} / 2)', [x, width], centerX)],
+        centroidFor: groupHeight => {
+          const value = bottom + groupHeight / 2;
+          return {
+            value,
+            steps: [
+              step('Clearance', 'max({0}, {1})', [gap, minClearance], clearance),
+              step('Group Bottom', '{0} + {1}', [top, clearance], bottom),
+              step('Target Centroid', '{0} + ({1} / 2)', [bottom, groupHeight], value)
+            ],
+            policy: { type: 'furniture', limit: null }
+          };
+        }
+      };
+    }
+
+    const centroidFor = groupHeight =>
+      withinLimits(wall.heightPolicy, policyCentroid(wall.heightPolicy, wall.targetCentroid, groupHeight), groupHeight);
+    const anchor = wall.anchor;
+
+    if (anchor && anchor.enabled) {
+      const name = anchor.label || 'Anchor';
+      if (wall.referenceEdge === 'right') {
+        const centerX = wall.width - num(anchor.x);
+        return {
+          centerX,
+          centerSteps: [step(name, '{0} - {1}', [wall.width, num(anchor.x)], centerX)],
+          centroidFor
+        };
+      }
+      return { centerX: num(anchor.x), centerSteps: [step(name, '{0}', [num(anchor.x)], num(anchor.x))], centroidFor };
+    }
+
+    const centerX = wall.width / 2;
+    return {
+      centerX,
+      centerSteps: [step('Wall Center', '{0} / 2', [wall.width], centerX)],
+      centroidFor
+    };
+  };
+
+  const placeSingle = (anchor, artworks) => {
+    const art = artworks[0];
+    if (!art) return [];
+    const target = anchor.centroidFor(num(art.height));
+
+    return [
+      placement(art, 0, {
+        centerX: anchor.centerX,
+        centroid: target.value,
+        vertical: target.steps,
+        horizontal: anchor.centerSteps,
+        heightPolicy: target.policy
+      })
+    ];
+  };
+
+  // Stacked bottom to top, artwork 1 lowest, centred on the anchor.
+  const placeVertical = (anchor, artworks, layout) => {
+    const gap = num(layout.verticalGap);
+    const totalHeight = artworks.reduce((sum, art, i) => sum + num(art.height) + (i > 0 ? gap : 0), 0);
+    const target = anchor.centroidFor(totalHeight);
+    const groupCentroid = totalHeight / 2;
+    const offset = target.value - groupCentroid;
+
+    let cumulative = 0;
+    return artworks.map((art, i) => {
+      const below = cumulative;
+      const centroid = below + num(art.height) / 2 + offset;
+      cumulative += num(art.height) + gap;
+
+      return placement(art, i, {
+        centerX: anchor.centerX,
+        centroid,
+        vertical: [
+          ...target.steps,
+          step('Group Centroid', '{0} / 2', [totalHeight], groupCentroid),
+          step('Offset', '{0} - {1}', [target.value, groupCentroid], offset),
+          step('Art Centroid', '{0} + ({1} / 2) + {2}', [below, num(art.height), offset], centroid)
+        ],
+        horizontal: anchor.centerSteps,
+        heightPolicy: target.policy
+      });
+    });
+  };
+
+  // Side by side, artwork 1 leftmost, every piece centred on the target centroid.
+  const placeHorizontal = (anchor, artworks, layout) => {
+    const gap = num(layout.horizontalGap);
+    const totalWidth = artworks.reduce((sum, art, i) => sum + num(art.width) + (i > 0 ? gap : 0), 0);
+    const target = anchor.centroidFor(Math.max(0, ...artworks.map(art => num(art.height))));
+    const groupStartX = anchor.centerX - totalWidth / 2;
+
+    let cumulative = 0;
+    return artworks.map((art, i) => {
+      const before = cumulative;
+      const centerX = groupStartX + before + num(art.width) / 2;
+      cumulative += num(art.width) + gap;
+
+      return placement(art, i, {
+        centerX,
+        centroid: target.value,
+        vertical: target.steps,
+        horizontal: [
+          ...anchor.centerSteps,
+          step('Group Start', '{0} - ({1} / 2)', [anchor.centerX, totalWidth], groupStartX),
+          step('Art Center', '{0} + {1} + ({2} / 2)', [groupStartX, before, num(art.width)], centerX)
+        ],
+        heightPolicy: target.policy
+      });
+    });
+  };
+
+  const sum = values => values.reduce((total, value) => total + value, 0);
+
+  const span = value => Math.max(1, Math.floor(num(value)) || 1);
+
+  // Cells in a row: layout.rowCounts[row] when set (a 3-2-3 wall), otherwise cols.
+  const rowCellCount = (layout, row) => {
+    const count = Math.floor(num(layout.rowCounts && layout.rowCounts[row]));
+    return count > 0 ? count : Math.max(1, layout.cols || 1);
+  };
+
+  // Gives each artwork the first free block of rowSpan × colSpan cells after the previous
+  // artwork's, filling rows from the bottom. Artworks that fit nowhere are left out.
+  const assignCells = (artworks, rows, counts) => {
+    const taken = counts.map(count => new Array(count).fill(false));
+    const fits = (row, col, rowSpan, colSpan) => {
+      if (row + rowSpan > rows) return false;
+      for (let r = row; r < row + rowSpan; r++) {
+        if (col + colSpan > counts[r]) return false;
+        for (let c = col; c < col + colSpan; c++) if (taken[r][c]) return false;
+      }
+      return true;
+    };
+    const findSlot = (from, rowSpan, colSpan) => {
+      for (let row = from.row; row < rows; row++) {
+        for (let col = row === from.row ? from.col : 0; col < counts[row]; col++) {
+          if (fits(row, col, rowSpan, colSpan)) return { row, col };
+        }
+      }
+      return null;
+    };
+
+    const cells = [];
+    let cursor = { row: 0, col: 0 };
+    artworks.forEach((art, index) => {
+      const rowSpan = span(art.rowSpan);
+      const colSpan = span(art.colSpan);
+      const slot = findSlot(cursor, rowSpan, colSpan);
+      if (!slot) return;
+      for (let r = slot.row; r < slot.row + rowSpan; r++) {
+        for (let c = slot.col; c < slot.col + colSpan; c++) taken[r][c] = true;
+      }
+      cells.push({ art, index, row: slot.row, col: slot.col, rowSpan, colSpan });
+      cursor = { row: slot.row, col: slot.col + colSpan };
+    });
+    return cells;
+  };
+
+  // Sizes of columns or rows so every piece fits. Single-cell pieces set their track's size;
+  // a spanning piece that is still too big then widens its tracks evenly.
+  const trackSizes = (count, items, gap) => {
+    const sizes = new Array(count).fill(0);
+    items.filter(item => item.span === 1).forEach(item => {
+      sizes[item.start] = Math.max(sizes[item.start], item.size);
+    });
+    items
+      .filter(item => item.span > 1)
+      .sort((a, b) => a.span - b.span)
+      .forEach(item => {
+        const available = sum(sizes.slice(item.start, item.start + item.span)) + (item.span - 1) * gap;
+        if (item.size <= available) return;
+        for (let t = item.start; t < item.start + item.span; t++) sizes[t] += (item.size - available) / item.span;
+      });
+    return sizes;
+  };
+
+  // Length of `count` tracks from `start`, with the gaps between them.
+  const spanLength = (sizes, start, count, gap) => sum(sizes.slice(start, start + count)) + (count - 1) * gap;
+
+  // Layout of the custom grid. Columns are shared by every row; a row with fewer cells than
+  // the grid is wide is centred. Rows and columns past the last piece are dropped.
+  const gridMetrics = (artworks, layout) => {
+    const rows = Math.max(1, layout.rows || 1);
+    const hGap = num(layout.horizontalGap);
+    const vGap = num(layout.verticalGap);
+    const counts = Array.from({ length: rows }, (_, row) => rowCellCount(layout, row));
+    const cells = assignCells(artworks, rows, counts);
+
+    const usedCols = Math.max(0, ...cells.map(cell => cell.col + cell.colSpan));
+    const usedRows = Math.max(0, ...cells.map(cell => cell.row + cell.rowSpan));
+    const colWidths = trackSizes(
+      usedCols,
+      cells.map(cell => ({ start: cell.col, span: cell.colSpan, size: num(cell.art.width) })),
+      hGap
+    );
+    const rowHeights = trackSizes(
+      usedRows,
+      cells.map(cell => ({ start: cell.row, span: cell.rowSpan, size: num(cell.art.height) })),
+      vGap
+    );
+
+    const totalWidth = usedCols > 0 ? spanLength(colWidths, 0, usedCols, hGap) : 0;
+    const totalHeight = usedRows > 0 ? spanLength(rowHeights, 0, usedRows, vGap) : 0;
+    const rowOffsets = counts.map(count => {
+      const width = Math.min(count, usedCols);
+      return width > 0 ? (totalWidth - spanLength(colWidths, 0, width, hGap)) / 2 : 0;
+    });
+
+    return { rows, counts, cells, colWidths, rowHeights, rowOffsets, totalWidth, totalHeight };
+  };
+
+  // Share of a cell's spare space that goes before the piece for each alignment.
+  const ALIGN_SHARE = { bottom: 0, left: 0, center: 0.5, top: 1, right: 1 };
+
+  // Row alignment is top, center or bottom; column alignment is left, center or right.
+  // Per-row and per-column choices (rowAlignments[row], colAlignments[col]) override the grid's.
+  const cellAlignment = (layout, row, col) => ({
+    vertical: (layout.rowAlignments && layout.rowAlignments[row]) || layout.rowAlign || 'bottom',
+    horizontal: (layout.colAlignments && layout.colAlignments[col]) || layout.colAlign || 'left'
+  });
+
+  const trackLabel = (name, start, count) => (count > 1 ? `${name}s ${start + 1}–${start + count}` : `${name} ${start + 1}`);
+
+  // Row 1 is the bottom row. Rows are as tall as their tallest piece and columns as wide as
+  // their widest; a piece spanning several rows or columns gets all of them and the gaps
+  // between. Smaller pieces are aligned inside their cells.
+  const placeCustom = (anchor, artworks, layout) => {
+    const hGap = num(layout.horizontalGap);
+    const vGap = num(layout.verticalGap);
+    const { cells, colWidths, rowHeights, rowOffsets, totalWidth, totalHeight } = gridMetrics(artworks, layout);
+    const target = anchor.centroidFor(totalHeight);
+    const gridStartX = anchor.centerX - totalWidth / 2;
+    const gridCentroid = totalHeight / 2;
+    const offset = target.value - gridCentroid;
+
+    return cells.map(({ art, index, row, col, rowSpan, colSpan }) => {
+      const heightBelow = sum(rowHeights.slice(0, row)) + row * vGap;
+      const widthToLeft = sum(colWidths.slice(0, col)) + col * hGap;
+      const rowOffset = rowOffsets[row];
+      const align = cellAlignment(layout, row, col);
+      const alignY = (spanLength(rowHeights, row, rowSpan, vGap) - num(art.height)) * ALIGN_SHARE[align.vertical];
+      const alignX = (spanLength(colWidths, col, colSpan, hGap) - num(art.width)) * ALIGN_SHARE[align.horizontal];
+      const centroid = heightBelow + alignY + num(art.height) / 2 + offset;
+      const centerX = gridStartX + rowOffset + widthToLeft + alignX + num(art.width) / 2;
+
+      return placement(art, index, {
+        centerX,
+        centroid,
+        position: `${trackLabel('Row', row, rowSpan)}, ${trackLabel('Col', col, colSpan)}`,
+        vertical: [
+          ...target.steps,
+          step('Grid Centroid', '{0} / 2', [totalHeight], gridCentroid),
+          step('Offset', '{0} - {1}', [target.value, gridCentroid], offset),
+          step('Art Centroid', '{0} + {1} + ({2} / 2) + {3}', [heightBelow, alignY, num(art.height), offset], centroid)
+        ],
+        horizontal: [
+          ...anchor.centerSteps,
+          step('Grid Start', '{0} - ({1} / 2)', [anchor.centerX, totalWidth], gridStartX),
+          ...(rowOffset > 0 ? [step('Row Start', '{0} + {1}', [gridStartX, rowOffset], gridStartX + rowOffset)] : []),
+          step(
+            'Art Center',
+            '{0} + {1} + {2} + ({3} / 2)',
+            [gridStartX + rowOffset, widthToLeft, alignX, num(art.width)],
+            centerX
+          )
+        ],
+        heightPolicy: target.policy
+      });
+    });
+  };
+
+  // Salon style: each artwork at its own dragged position (freeformX, freeformY is the frame
+  // centre). Pieces that have not been placed yet start on the anchor.
+  const placeFreeform = (anchor, artworks) =>
+    artworks.map((art, i) => {
+      const centerX = art.freeformX != null ? art.freeformX : anchor.centerX;
+      const target = art.freeformY != null ? null : anchor.centroidFor(num(art.height));
+      const centroid = target ? target.value : art.freeformY;
+
+      return placement(art, i, {
+        centerX,
+        centroid,
+        vertical: [step('Art Centroid', 'placed', [], centroid)],
+        horizontal: [step('Art Center', 'placed', [], centerX)],
+        heightPolicy: target ? target.policy : { type: 'placed', limit: null }
+      });
+    });
+
+  const placers = {
+    single: placeSingle,
+    vertical: placeVertical,
+    horizontal: placeHorizontal,
+    custom: placeCustom,
+    freeform: placeFreeform
+  };
+
+  // Best snap on one axis: the candidate whose `start` is closest to `current`, within threshold.
+  const nearestSnap = (current, candidates, threshold) =>
+    candidates.reduce((best, c) => {
+      const distance = Math.abs(c.start - current);
+      return distance <= threshold && (!best || distance < best.distance) ? { ...c, distance } : best;
+    }, null);
+
+  // Candidate positions for an edge-based axis: line up start, centre or end with each line,
+  // or sit `gap` away from a neighbour on either side.
+  const axisCandidates = (size, spans, lines, gap) => [
+    ...[...spans.flatMap(([lo, hi]) => [lo, (lo + hi) / 2, hi]), ...lines].flatMap(line => [
+      { start: line, guide: line },
+      { start: line - size / 2, guide: line },
+      { start: line - size, guide: line }
+    ]),
+    ...spans.flatMap(([lo, hi]) => [
+      { start: hi + gap, guide: hi + gap },
+      { start: lo - gap - size, guide: lo - gap }
+    ])
+  ];
+
+  // Snaps a frame being dragged to the other frames (shared edges, centre lines, `gap` spacing)
+  // and to any extra guide lines. Returns the snapped frame centre and the guides that were hit.
+  const snapFrame = (frame, others, { threshold, gap = 0, linesX = [], linesY = [] }) => {
+    const width = frame.right - frame.left;
+    const height = frame.top - frame.bottom;
+    const snapX = nearestSnap(
+      frame.left,
+      axisCandidates(width, others.map(o => [o.left, o.right]), linesX, gap),
+      threshold
+    );
+    const snapY = nearestSnap(
+      frame.bottom,
+      axisCandidates(height, others.map(o => [o.bottom, o.top]), linesY, gap),
+      threshold
+    );
+    const left = snapX ? snapX.start : frame.left;
+    const bottom = snapY ? snapY.start : frame.bottom;
+
+    return {
+      centerX: left + width / 2,
+      centroid: bottom + height / 2,
+      guides: [
+        ...(snapX ? [{ axis: 'x', value: snapX.guide }] : []),
+        ...(snapY ? [{ axis: 'y', value: snapY.guide }] : [])
+      ]
+    };
+  };
+
+  // Adds each nail's distance from the chosen reference edge. Internally x always runs from
+  // the left edge, so a right-edge datum gets one extra step per nail.
+  const measureFrom = (placements, wall) =>
+    placements.map(p => {
+      const distance = x => (wall.referenceEdge === 'right' ? wall.width - x : x);
+      const nails = p.nails.map(nail => ({ ...nail, distance: distance(nail.x) }));
+      const rail = p.rail && { ...p.rail, distances: [distance(p.rail.left), distance(p.rail.right)] };
+      if (wall.referenceEdge !== 'right') {
+        return { ...p, horizontalFromEdge: 'left', nails, rail };
+      }
+      return {
+        ...p,
+        horizontalFromEdge: 'right',
+        nails,
+        rail,
+        steps: {
+          ...p.steps,
+          horizontal: [
+            ...p.steps.horizontal,
+            ...nails.map(nail =>
+              step(nails.length > 1 ? `${nail.label} from Right Edge` : 'From Right Edge',
+                '{0} - {1}', [wall.width, nail.x], nail.distance)
+            )
+          ]
+        }
+      };
+    });
+
+  // Adds each nail's height above the vertical datum as fromDatum. Plan heights are taken from a
+  // level line at floor height; a datum that follows the floor (a baseboard, a chair rail) sits
+  // `offset` above the floor, whose height at each wall end is floorLeft and floorRight on that
+  // line, while a level datum (a laser line) sits `offset` above the line itself.
+  // fromLevel is the height above the datum at the reference edge carried along a level line,
+  // which is what a laser line set up from that point measures against.
+  const measureUp = (placements, wall) => {
+    const { name, offset, level, floorLeft, floorRight } = wall.datum;
+    const floorAt = x => (wall.width > 0 ? floorLeft + ((floorRight - floorLeft) * x) / wall.width : floorLeft);
+    const plain = offset === 0 && (level || (floorLeft === 0 && floorRight === 0));
+    const edgeFloor = level ? 0 : floorAt(wall.referenceEdge === 'right' ? wall.width : 0);
+
+    return placements.map(p => {
+      const nails = p.nails.map(nail => ({
+        ...nail,
+        fromDatum: nail.y - (level ? 0 : floorAt(nail.x)) - offset,
+        fromLevel: nail.y - edgeFloor - offset
+      }));
+      if (plain) return { ...p, verticalFrom: name, nails };
+      const labelFor = (nail, text) => (nails.length > 1 ? `${nail.label} ${text}` : text.charAt(0).toUpperCase() + text.slice(1));
+      return {
+        ...p,
+        verticalFrom: name,
+        nails,
+        steps: {
+          ...p.steps,
+          vertical: [
+            ...p.steps.vertical,
+            ...nails.flatMap(nail =>
+              level
+                ? [step(labelFor(nail, `above ${name}`), '{0} - {1}', [nail.y, offset], nail.fromDatum)]
+                : [
+                    ...(floorLeft !== 0 || floorRight !== 0
+                      ? [step(labelFor(nail, 'Floor Height'), '{0} + ({1} - {0}) × {2} / {3}', [floorLeft, floorRight, nail.x, wall.width], floorAt(nail.x))]
+                      : []),
+                    step(labelFor(nail, `above ${name}`), '{0} - {1} - {2}', [nail.y, floorAt(nail.x), offset], nail.fromDatum)
+                  ]
+            )
+          ]
+        }
+      };
+    });
+  };
+
+  // wall: { width, targetCentroid, referenceEdge: 'left' | 'right', anchor: { enabled, x, label }, heightPolicy, datum }
+  //   where anchor.x is measured from the reference edge and heightPolicy is { type, viewerHeight,
+  //   ceilingHeight, ceilingProportion, bottomEdge, ceilingClearance, floorClearance } with type
+  //   a HEIGHT_POLICIES key (a fixed targetCentroid when missing), and datum is
+  //   { name, offset, level, floorLeft, floorRight } (the floor when missing);
+  // layout: { rows, cols, horizontalGap, verticalGap, ... };
+  // furniture (optional): { enabled, x, width, height, gap, minClearance }, which takes over both anchors.
+  // Furniture, obstacle and freeform positions are measured from the left wall edge whichever
+  // edge the results are measured from.
+  const resolveHeightPolicy = policy => ({
+    type: HEIGHT_POLICIES[policy.type] ? policy.type : 'centroid',
+    viewerHeight: num(policy.viewerHeight),
+    ceilingHeight: num(policy.ceilingHeight),
+    ceilingProportion: num(policy.ceilingProportion),
+    bottomEdge: num(policy.bottomEdge),
+    ceilingClearance: num(policy.ceilingClearance),
+    floorClearance: num(policy.floorClearance)
+  });
+
+  const resolveDatum = datum => ({
+    name: (datum.name && datum.name.trim()) || 'floor',
+    offset: num(datum.offset),
+    level: !!datum.level,
+    floorLeft: num(datum.floorLeft),
+    floorRight: num(datum.floorRight)
+  });
+
+  const resolveWall = wall => ({
+    width: num(wall.width),
+    targetCentroid: num(wall.targetCentroid),
+    referenceEdge: wall.referenceEdge === 'right' ? 'right' : 'left',
+    anchor: wall.anchor,
+    heightPolicy: resolveHeightPolicy(wall.heightPolicy || {}),
+    datum: resolveDatum(wall.datum || {})
+  });
+
+  const computePlacements = ({ wall, artworks, layout = {}, configuration = 'single', furniture }) => {
+    const place = placers[configuration];
+    if (!place) throw new Error(`Unknown configuration: ${configuration}`);
+    const resolvedWall = resolveWall(wall);
+    return measureUp(measureFrom(place(buildAnchor(resolvedWall, furniture), artworks, layout), resolvedWall), resolvedWall);
+  };
+
+  // Where a group of the given height would be centred: { centerX, centroid }.
+  const groupCenter = ({ wall, furniture }, groupHeight) => {
+    const anchor = buildAnchor(resolveWall(wall), furniture);
+    return { centerX: anchor.centerX, centroid: anchor.centroidFor(groupHeight).value };
+  };
+
+  const OBSTACLE_TYPES = {
+    window: 'Window',
+    door: 'Door',
+    outlet: 'Outlet',
+    switch: 'Light switch',
+    thermostat: 'Thermostat',
+    other: 'Obstacle'
+  };
+
+  // "Window 2": the type label numbered among obstacles of the same type.
+  const obstacleName = (obstacle, obstacles) => {
+    const sameType = obstacles.filter(o => o.type === obstacle.type);
+    return `${OBSTACLE_TYPES[obstacle.type] || OBSTACLE_TYPES.other} ${sameType.indexOf(obstacle) + 1}`;
+  };
+
+  // Obstacle rectangle grown by its clearance margin on every side.
+  const keepOutZone = obstacle => {
+    const clearance = num(obstacle.clearance);
+    return {
+      left: num(obstacle.x) - clearance,
+      right: num(obstacle.x) + num(obstacle.width) + clearance,
+      bottom: num(obstacle.y) - clearance,
+      top: num(obstacle.y) + num(obstacle.height) + clearance
+    };
+  };
+
+  const overlaps = (a, b) => a.left < b.right && a.right > b.left && a.bottom < b.top && a.top > b.bottom;
+
+  const inside = (point, zone) => point.x > zone.left && point.x < zone.right && point.y > zone.bottom && point.y < zone.top;
+
+  // Frames and nails that land in an obstacle's keep-out zone. Each conflict is
+  // { id, kind: 'frame' | 'nail', side, label, obstacle, name } where id is the placement's artwork id.
+  const findConflicts = (placements, obstacles = []) =>
+    placements.flatMap(p =>
+      obstacles.flatMap(obstacle => {
+        const zone = keepOutZone(obstacle);
+        const name = obstacleName(obstacle, obstacles);
+        const conflicts = [];
+        if (overlaps(p.frame, zone)) conflicts.push({ id: p.id, kind: 'frame', obstacle, name });
+        p.nails.forEach(nail => {
+          if (inside(nail, zone)) conflicts.push({ id: p.id, kind: 'nail', side: nail.side, label: nail.label, obstacle, name });
+        });
+        return conflicts;
+      })
+    );
+
+  // Mounting measurements that must fit on the artwork: `down` fields are taken from the top
+  // edge and may not exceed the height; `across` fields may not exceed the width.
+  const MOUNTING_LIMITS = {
+    wire: { down: ['wireOffset'], across: [] },
+    wireLength: { down: ['wireAttachDrop'], across: ['wireNailSpacing'] },
+    dring: { down: ['mountingVerticalOffset'], across: [] },
+    centerDring: { down: ['mountingVerticalOffset'], across: [] },
+    sawtooth: { down: ['sawtoothOffset'], across: [] },
+    keyhole: { down: ['keyholeOffset'], across: ['keyholeSpacing'] },
+    cleat: { down: ['railOffset'], across: ['railLength'] },
+    zbar: { down: ['railOffset'], across: ['railLength'] }
+  };
+
+  // Side insets per mounting type; past half the width the two points swap sides.
+  const SIDE_INSETS = { dring: 'mountingHorizontalOffset', wireLength: 'wireAttachInset' };
+
+  const validateArtwork = art => {
+    const issues = [];
+    const add = (level, field, message, amount) =>
+      issues.push({ level, field, artworkId: art.id, message, ...(amount != null && { amount }) });
+    const width = num(art.width);
+    const height = num(art.height);
+    const limits = MOUNTING_LIMITS[art.mountingType] || MOUNTING_LIMITS.wire;
+    const inset = SIDE_INSETS[art.mountingType];
+
+    if (width <= 0) add('error', 'width', 'Enter the artwork width');
+    if (height <= 0) add('error', 'height', 'Enter the artwork height');
+    [...limits.down, ...limits.across, ...(inset ? [inset] : [])].forEach(field => {
+      if (num(art[field]) < 0) add('error', field, 'Cannot be negative');
+    });
+    if (height > 0) {
+      limits.down.forEach(field => {
+        if (num(art[field]) > height) add('error', field, 'Measured down from the top, this is more than the artwork height', num(art[field]) - height);
+      });
+    }
+    if (width > 0) {
+      limits.across.forEach(field => {
+        if (num(art[field]) > width) add('warning', field, 'Wider than the artwork', num(art[field]) - width);
+      });
+      if (inset && num(art[inset]) * 2 > width) add('error', inset, 'Inset past the center of the artwork', num(art[inset]) - width / 2);
+    }
+
+    // A rail without a length puts its screws on one point. Negative lengths are reported above.
+    if ((art.mountingType === 'cleat' || art.mountingType === 'zbar') && num(art.railLength) === 0) {
+      add('error', 'railLength', 'Enter the rail length');
+    }
+
+    if (art.mountingType === 'wireLength') {
+      const halfSpan = width / 2 - num(art.wireAttachInset);
+      const spacing = num(art.wireNailSpacing);
+      const needed = spacing + 2 * Math.abs(halfSpan - spacing / 2);
+      if (num(art.wireLength) < needed) {
+        add('error', 'wireLength', 'Wire is too short to reach the nails', needed - num(art.wireLength));
+      }
+    }
+    return issues;
+  };
+
+  // Problems that would make results wrong or risky, each tied to what causes it:
+  // { level: 'error' | 'warning', field, artworkId?, message, amount? }. Without artworkId,
+  // field is a wall or layout setting (wallWidth, rows); with it, an artwork field, or null
+  // for the artwork's placement as a whole. amount is how far a limit is exceeded.
+  const validatePlan = ({ wall, artworks, layout = {}, configuration = 'single' }, placements) => {
+    const issues = artworks.flatMap(validateArtwork);
+    const wallWidth = num(wall.width);
+
+    if (wallWidth <= 0) issues.push({ level: 'error', field: 'wallWidth', message: 'Enter the wall width' });
+
+    const policy = resolveWall(wall).heightPolicy;
+    if (policy.type === 'eyeLevel' && policy.viewerHeight <= 0) {
+      issues.push({ level: 'error', field: 'viewerHeight', message: 'Enter the viewer height' });
+    }
+    if (policy.type === 'ceiling' && policy.ceilingHeight <= 0) {
+      issues.push({ level: 'error', field: 'ceilingHeight', message: 'Enter the ceiling height' });
+    }
+    if (policy.type === 'ceiling' && !(policy.ceilingProportion > 0 && policy.ceilingProportion < 1)) {
+      issues.push({ level: 'error', field: 'ceilingProportion', message: 'Choose a proportion between 0 and 100%' });
+    }
+
+    if (configuration === 'single') {
+      artworks.slice(1).forEach(art =>
+        issues.push({ level: 'error', field: null, artworkId: art.id, message: 'Not placed: a single layout hangs one artwork' })
+      );
+    }
+
+    if (configuration === 'custom') {
+      const { rows, counts, cells, rowOffsets } = gridMetrics(artworks, layout);
+      const unplaced = artworks.filter((_, i) => !cells.some(cell => cell.index === i));
+      if (unplaced.length > 0) {
+        issues.push({
+          level: 'error',
+          field: 'rows',
+          message: `The grid has no room for ${unplaced.length} of ${artworks.length} artworks`
+        });
+        const widest = Math.max(...counts);
+        unplaced.forEach(art => {
+          const reason =
+            span(art.rowSpan) > rows
+              ? `it spans ${span(art.rowSpan)} rows and the grid has ${rows}`
+              : span(art.colSpan) > widest
+                ? `it spans ${span(art.colSpan)} columns and no row has that many`
+                : 'the grid has no cell left for it';
+          issues.push({ level: 'error', field: null, artworkId: art.id, message: `Not placed: ${reason}` });
+        });
+      }
+      cells
+        .filter(cell => rowOffsets.slice(cell.row, cell.row + cell.rowSpan).some(o => o !== rowOffsets[cell.row]))
+        .forEach(cell =>
+          issues.push({
+            level: 'warning',
+            field: 'rowSpan',
+            artworkId: cell.art.id,
+            message: 'Spans rows with different item counts, so the rows above are centered differently and may overlap it'
+          })
+        );
+    }
+
+    if (wallWidth > 0 && placements.length > 0) {
+      const left = Math.min(...placements.map(p => p.frame.left));
+      const right = Math.max(...placements.map(p => p.frame.right));
+      if (right - left > wallWidth) {
+        issues.push({ level: 'error', field: 'wallWidth', message: 'The arrangement is wider than the wall', amount: right - left - wallWidth });
+      } else {
+        placements.forEach(p => {
+          if (p.frame.left < 0) {
+            issues.push({ level: 'error', field: null, artworkId: p.id, message: 'Runs past the left edge of the wall', amount: -p.frame.left });
+          }
+          if (p.frame.right > wallWidth) {
+            issues.push({ level: 'error', field: null, artworkId: p.id, message: 'Runs past the right edge of the wall', amount: p.frame.right - wallWidth });
+          }
+        });
+      }
+    }
+
+    if (placements.length > 0) {
+      const top = Math.max(...placements.map(p => p.frame.top));
+      const bottom = Math.min(...placements.map(p => p.frame.bottom));
+      const ceilingLimit = policy.ceilingHeight > 0 ? policy.ceilingHeight - policy.ceilingClearance : Infinity;
+      if (top - bottom > ceilingLimit - policy.floorClearance) {
+        issues.push({
+          level: 'error',
+          field: 'ceilingClearance',
+          message: 'The arrangement is taller than the space between the floor and ceiling clearances',
+          amount: top - bottom - (ceilingLimit - policy.floorClearance)
+        });
+      } else if (top > ceilingLimit) {
+        issues.push({ level: 'error', field: 'ceilingClearance', message: 'The arrangement reaches into the ceiling clearance', amount: top - ceilingLimit });
+      } else if (bottom < policy.floorClearance && bottom >= 0) {
+        issues.push({ level: 'error', field: 'floorClearance', message: 'The arrangement reaches into the floor clearance', amount: policy.floorClearance - bottom });
+      } else {
+        // The group fits, but not at the height its policy asked for.
+        const shifts = limit => placements.filter(p => p.heightPolicy.limit === limit).map(p => Math.abs(p.heightPolicy.shift));
+        const raised = shifts('floor');
+        const lowered = shifts('ceiling');
+        if (raised.length > 0) {
+          issues.push({ level: 'warning', field: 'floorClearance', message: 'The arrangement is raised to keep the floor clearance', amount: Math.max(...raised) });
+        }
+        if (lowered.length > 0) {
+          issues.push({ level: 'warning', field: 'ceilingClearance', message: 'The arrangement is lowered to keep the ceiling clearance', amount: Math.max(...lowered) });
+        }
+      }
+    }
+
+    placements.forEach(p => {
+      const lowestNail = Math.min(...p.nails.map(nail => nail.y));
+      if (lowestNail < 0) {
+        issues.push({ level: 'error', field: null, artworkId: p.id, message: 'Nails are below the floor', amount: -lowestNail });
+      } else if (p.frame.bottom < 0) {
+        issues.push({ level: 'error', field: null, artworkId: p.id, message: 'Frame reaches below the floor', amount: -p.frame.bottom });
+      }
+    });
+
+    return issues;
+  };
+
+  // Every nail across all placements, numbered from 1 in result order.
+  const listNails = placements =>
+    placements
+      .flatMap(p => p.nails.map(nail => ({ ...nail, placement: p })))
+      .map((nail, i) => ({ ...nail, number: i + 1 }));
+
+  // Nails in the order to put them up: working away from the measuring edge, and top to
+  // bottom within a column (nails within `tolerance` cm of the same x), each with its offset
+  // { dx, dy } from the nail before, positive to the right and up.
+  const installOrder = (placements, tolerance = 0.5) => {
+    const fromRight = placements.length > 0 && placements[0].horizontalFromEdge === 'right';
+    const nails = listNails(placements).sort((a, b) => {
+      const dx = fromRight ? b.x - a.x : a.x - b.x;
+      return Math.abs(dx) > tolerance ? dx : b.y - a.y;
+    });
+    return nails.map((nail, i) => ({
+      ...nail,
+      step: i + 1,
+      fromPrevious: i > 0 ? { dx: nail.x - nails[i - 1].x, dy: nail.y - nails[i - 1].y } : null
+    }));
+  };
+
+  const PlacementEngine = {
+    MOUNTING_TYPES: Object.keys(HARDWARE),
+    HEIGHT_POLICIES,
+    OBSTACLE_TYPES,
+    artworkName,
+    computePlacements,
+    groupCenter,
+    hangingPoints,
+    gridMetrics,
+    installOrder,
+    listNails,
+    snapFrame,
+    obstacleName,
+    keepOutZone,
+    findConflicts,
+    validatePlan,
+    step
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = PlacementEngine;
+  } else {
+    root.PlacementEngine = PlacementEngine;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,93 @@
+// hardware.js
+// Fastener rules: which fastener to use in each wall material and how much it holds, kept in
+// localStorage and editable by the user. A rule is { id, substrate, fastener, capacity,
+// maxCount } with capacity the rated load of one fastener in kg and maxCount how many of them
+// fit at one hanging point. Rules are tried in table order, so list the lighter fasteners first.
+
+(function (root) {
+  const STORAGE_KEY = 'artHanging.hardwareRules';
+
+  const SUBSTRATES = {
+    drywall: 'Drywall',
+    plaster: 'Plaster',
+    brick: 'Brick',
+    concrete: 'Concrete',
+    woodStud: 'Wood stud'
+  };
+
+  // Cautious figures for common products; check the packaging of what you actually use.
+  const DEFAULT_RULES = [
+    { id: 1, substrate: 'drywall', fastener: 'Picture hook and nail', capacity: 10, maxCount: 2 },
+    { id: 2, substrate: 'drywall', fastener: 'Self-drilling drywall anchor', capacity: 20, maxCount: 2 },
+    { id: 3, substrate: 'drywall', fastener: 'Toggle bolt', capacity: 35, maxCount: 2 },
+    { id: 4, substrate: 'plaster', fastener: 'Picture hook and hardened nail', capacity: 10, maxCount: 2 },
+    { id: 5, substrate: 'plaster', fastener: 'Toggle bolt', capacity: 30, maxCount: 2 },
+    { id: 6, substrate: 'brick', fastener: 'Wall plug and screw', capacity: 25, maxCount: 2 },
+    { id: 7, substrate: 'concrete', fastener: 'Wall plug and screw', capacity: 30, maxCount: 2 },
+    { id: 8, substrate: 'concrete', fastener: 'Concrete screw', capacity: 45, maxCount: 2 },
+    { id: 9, substrate: 'woodStud', fastener: 'Picture hook and nail', capacity: 15, maxCount: 2 },
+    { id: 10, substrate: 'woodStud', fastener: 'Wood screw', capacity: 40, maxCount: 2 }
+  ];
+
+  let lastId = 0;
+  const nextId = () => {
+    lastId = Math.max(Date.now(), lastId + 1);
+    return lastId;
+  };
+
+  const newRule = substrate => ({ id: nextId(), substrate, fastener: '', capacity: 0, maxCount: 1 });
+
+  const readStorage = () => {
+    try {
+      return root.localStorage ? root.localStorage.getItem(STORAGE_KEY) : null;
+    } catch (e) {
+      return null;
+    }
+  };
+
+  const loadRules = () => {
+    try {
+      const parsed = JSON.parse(readStorage());
+      return Array.isArray(parsed) ? parsed.filter(rule => rule && rule.id != null) : DEFAULT_RULES;
+    } catch (e) {
+      return DEFAULT_RULES;
+    }
+  };
+
+  const saveRules = rules => {
+    try {
+      if (root.localStorage) root.localStorage.setItem(STORAGE_KEY, JSON.stringify(rules));
+    } catch (e) {
+      // Storage full or disabled; the rules keep working in memory.
+    }
+  };
+
+  // The fastener for each hanging point of an artwork weighing `weight` kg hung on `points`
+  // points, which share the load equally: { load, rule, count, capacity, over }, where capacity
+  // is what `count` fasteners hold together and over marks a load no rule can carry (the
+  // strongest rule is given anyway). null when the weight is unknown or the material has no rules.
+  const recommend = (weight, points, substrate, rules) => {
+    const options = rules.filter(rule => rule.substrate === substrate && rule.capacity > 0);
+    if (!(weight > 0) || points < 1 || options.length === 0) return null;
+    const load = weight / points;
+    const maxCount = rule => Math.max(1, Math.floor(rule.maxCount) || 1);
+
+    const fits = options
+      .map(rule => ({ rule, count: Math.max(1, Math.ceil(load / rule.capacity - 1e-9)) }))
+      .find(({ rule, count }) => count <= maxCount(rule));
+    if (fits) return { load, ...fits, capacity: fits.rule.capacity * fits.count, over: false };
+
+    const strongest = options.reduce((best, rule) =>
+      rule.capacity * maxCount(rule) > best.capacity * maxCount(best) ? rule : best
+    );
+    return { load, rule: strongest, count: maxCount(strongest), capacity: strongest.capacity * maxCount(strongest), over: true };
+  };
+
+  const HardwareRules = { SUBSTRATES, DEFAULT_RULES, newRule, loadRules, saveRules, recommend };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = HardwareRules;
+  } else {
+    root.HardwareRules = HardwareRules;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,113 @@
+// library.js
+// The artwork library: pieces saved once with their measurements, kept in localStorage and
+// reusable in every project. An entry is { id, updatedAt, ...PIECE_FIELDS }; artworks made
+// from an entry copy those fields and remember it as libraryId.
+
+(function (root) {
+  const STORAGE_KEY = 'artHanging.library';
+  const THUMBNAIL_SIZE = 160;
+
+  // Everything about the piece itself, nothing about where it hangs.
+  const PIECE_FIELDS = [
+    'title',
+    'artist',
+    'width',
+    'height',
+    'weight',
+    'thumbnail',
+    'mountingType',
+    'wireOffset',
+    'mountingVerticalOffset',
+    'mountingHorizontalOffset',
+    'hangerOffset',
+    'wireLength',
+    'wireAttachDrop',
+    'wireAttachInset',
+    'wireNailSpacing',
+    'sawtoothOffset',
+    'keyholeOffset',
+    'keyholeSpacing',
+    'railLength',
+    'railOffset',
+    'screwSpacing'
+  ];
+
+  const pieceFields = source =>
+    PIECE_FIELDS.reduce((piece, field) => (source[field] !== undefined ? { ...piece, [field]: source[field] } : piece), {});
+
+  let lastId = 0;
+  const nextId = () => {
+    lastId = Math.max(Date.now(), lastId + 1);
+    return lastId;
+  };
+
+  const readStorage = () => {
+    try {
+      return root.localStorage ? root.localStorage.getItem(STORAGE_KEY) : null;
+    } catch (e) {
+      return null;
+    }
+  };
+
+  const loadLibrary = () => {
+    try {
+      const parsed = JSON.parse(readStorage() || '[]');
+      return Array.isArray(parsed) ? parsed.filter(entry => entry && entry.id != null) : [];
+    } catch (e) {
+      return [];
+    }
+  };
+
+  // False when storage is full or disabled; the library keeps working in memory.
+  const saveLibrary = entries => {
+    try {
+      if (root.localStorage) root.localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+      return true;
+    } catch (e) {
+      return false;
+    }
+  };
+
+  // A new entry from an artwork's fields, or `entry` updated from them when given.
+  const entryFromArtwork = (art, entry) => ({
+    id: entry ? entry.id : nextId(),
+    ...pieceFields(art),
+    updatedAt: new Date().toISOString()
+  });
+
+  // Artwork fields for a piece taken from the library; the caller adds id and wallId.
+  const artworkFromEntry = entry => ({ ...pieceFields(entry), libraryId: entry.id });
+
+  // Reads an image file as a JPEG data URL no larger than maxSize pixels on its longer side:
+  // { src, width, height }.
+  const readImage = (file, maxSize) =>
+    new Promise((resolve, reject) => {
+      const reader = new root.FileReader();
+      reader.onerror = () => reject(new Error('Could not read the file'));
+      reader.onload = () => {
+        const image = new root.Image();
+        image.onerror = () => reject(new Error('Not an image this browser can show'));
+        image.onload = () => {
+          const scale = Math.min(1, maxSize / Math.max(image.width, image.height));
+          const canvas = root.document.createElement('canvas');
+          canvas.width = Math.max(1, Math.round(image.width * scale));
+          canvas.height = Math.max(1, Math.round(image.height * scale));
+          canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+          resolve({ src: canvas.toDataURL('image/jpeg', 0.8), width: canvas.width, height: canvas.height });
+        };
+        image.src = reader.result;
+      };
+      reader.readAsDataURL(file);
+    });
+
+  // Small enough that many thumbnails fit in localStorage.
+  const makeThumbnail = (file, size = THUMBNAIL_SIZE) => readImage(file, size).then(image => image.src);
+
+  const ArtLibrary = { PIECE_FIELDS, loadLibrary, saveLibrary, entryFromArtwork, artworkFromEntry, readImage, makeThumbnail };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = ArtLibrary;
+  } else {
+    root.ArtLibrary = ArtLibrary;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
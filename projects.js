@@ -0,0 +1,367 @@
+// projects.js
+// Named hanging projects: localStorage persistence and versioned JSON files.
+// A project is one room: { id, name, updatedAt, state } where state holds everything the
+// calculator edits, including the room's walls and its artwork inventory.
+// Lengths in state are always centimetres; `units` is only the unit they are shown in.
+
+(function (root) {
+  const HardwareRules = typeof module === 'object' && module.exports ? require('./hardware.js') : root.HardwareRules;
+
+  const STORAGE_KEY = 'artHanging.projects';
+  const ACTIVE_KEY = 'artHanging.activeProjectId';
+  const FILE_FORMAT = 'art-hanging-project';
+  const FILE_VERSION = 3;
+
+  // What each wall in a room holds. Artworks live in the room's inventory and point at a
+  // wall with wallId, or null while unassigned.
+  const WALL_FIELDS = ['targetCentroid', 'wallWidth', 'configuration', 'layout', 'obstacles', 'furniture', 'reference', 'photo', 'installation', 'heightPolicy', 'substrate', 'datum'];
+
+  const defaultWall = (id = 1, name = `Wall ${id}`) => ({
+    id,
+    name,
+    targetCentroid: 152.4,
+    wallWidth: 0,
+    // Wall material, a HardwareRules.SUBSTRATES key; it decides the recommended fasteners.
+    substrate: 'drywall',
+    // How high the group hangs: type is 'centroid' (targetCentroid), 'eyeLevel', 'ceiling'
+    // (a proportion of ceilingHeight) or 'bottomEdge'. The clearances hold for every type.
+    heightPolicy: {
+      type: 'centroid',
+      viewerHeight: 170,
+      ceilingHeight: 0,
+      ceilingProportion: 0.45,
+      bottomEdge: 90,
+      ceilingClearance: 15,
+      floorClearance: 0
+    },
+    configuration: 'single',
+    obstacles: [],
+    // Photo of the wall: { src, width, height, scalePoints, scaleDistance, floorY, leftX },
+    // with points in image pixels.
+    photo: null,
+    // What vertical measurements are taken from: `offset` above the floor, or above the level
+    // line at floor height when `level` (a laser line). floorLeft and floorRight are the floor's
+    // height at each wall end against that level line.
+    datum: {
+      name: 'floor',
+      offset: 0,
+      level: false,
+      floorLeft: 0,
+      floorRight: 0
+    },
+    // Guided installation: the laser line's height and the keys of nails already put up.
+    installation: {
+      laserHeight: 152.4,
+      done: []
+    },
+    reference: {
+      edge: 'left',
+      anchorEnabled: false,
+      anchorX: 0,
+      anchorLabel: ''
+    },
+    furniture: {
+      enabled: false,
+      x: 0,
+      width: 0,
+      height: 0,
+      gap: 20,
+      minClearance: 15
+    },
+    layout: {
+      rows: 1,
+      cols: 1,
+      horizontalGap: 10,
+      verticalGap: 10,
+      rowAlign: 'bottom',
+      colAlign: 'left',
+      rowCounts: [],
+      rowAlignments: {},
+      colAlignments: {}
+    }
+  });
+
+  const defaultArtwork = () => ({
+    id: 1,
+    wallId: 1,
+    libraryId: null,
+    title: '',
+    artist: '',
+    thumbnail: '',
+    weight: 0,
+    width: 0,
+    height: 0,
+    wireOffset: 0,
+    mountingType: 'wire',
+    mountingVerticalOffset: 0,
+    mountingHorizontalOffset: 0,
+    hangerOffset: 2.54,
+    wireLength: 0,
+    wireAttachDrop: 0,
+    wireAttachInset: 0,
+    wireNailSpacing: 0,
+    sawtoothOffset: 0,
+    keyholeOffset: 0,
+    keyholeSpacing: 0,
+    railLength: 0,
+    railOffset: 0,
+    screwSpacing: 40,
+    rowSpan: 1,
+    colSpan: 1
+  });
+
+  const defaultState = () => ({
+    units: 'cm',
+    lengthUnit: 'cm',
+    walls: [defaultWall()],
+    activeWallId: 1,
+    artworks: [defaultArtwork()]
+  });
+
+  // Every length in state, by where it lives.
+  const LENGTH_FIELDS = {
+    wall: ['targetCentroid', 'wallWidth'],
+    layout: ['horizontalGap', 'verticalGap'],
+    furniture: ['x', 'width', 'height', 'gap', 'minClearance'],
+    reference: ['anchorX'],
+    obstacle: ['x', 'y', 'width', 'height', 'clearance'],
+    photo: ['scaleDistance'],
+    installation: ['laserHeight'],
+    heightPolicy: ['viewerHeight', 'ceilingHeight', 'bottomEdge', 'ceilingClearance', 'floorClearance'],
+    datum: ['offset', 'floorLeft', 'floorRight'],
+    artwork: [
+      'width',
+      'height',
+      'wireOffset',
+      'mountingVerticalOffset',
+      'mountingHorizontalOffset',
+      'hangerOffset',
+      'wireLength',
+      'wireAttachDrop',
+      'wireAttachInset',
+      'wireNailSpacing',
+      'sawtoothOffset',
+      'keyholeOffset',
+      'keyholeSpacing',
+      'railLength',
+      'railOffset',
+      'screwSpacing',
+      'freeformX',
+      'freeformY'
+    ]
+  };
+
+  const scaleFields = (object, fields, factor) => {
+    if (!object || typeof object !== 'object') return object;
+    const scaled = { ...object };
+    fields.forEach(field => {
+      if (typeof scaled[field] === 'number') scaled[field] *= factor;
+    });
+    return scaled;
+  };
+
+  // Works on a wall and on single-wall state, which keeps the wall's fields at the top level.
+  const scaleWall = (wall, factor) => ({
+    ...scaleFields(wall, LENGTH_FIELDS.wall, factor),
+    layout: scaleFields(wall.layout, LENGTH_FIELDS.layout, factor),
+    furniture: scaleFields(wall.furniture, LENGTH_FIELDS.furniture, factor),
+    reference: scaleFields(wall.reference, LENGTH_FIELDS.reference, factor),
+    obstacles: Array.isArray(wall.obstacles) ? wall.obstacles.map(o => scaleFields(o, LENGTH_FIELDS.obstacle, factor)) : wall.obstacles,
+    photo: scaleFields(wall.photo, LENGTH_FIELDS.photo, factor),
+    installation: scaleFields(wall.installation, LENGTH_FIELDS.installation, factor),
+    heightPolicy: scaleFields(wall.heightPolicy, LENGTH_FIELDS.heightPolicy, factor),
+    datum: scaleFields(wall.datum, LENGTH_FIELDS.datum, factor)
+  });
+
+  const scaleLengths = (state, factor) => ({
+    ...scaleWall(state, factor),
+    walls: Array.isArray(state.walls) ? state.walls.map(wall => scaleWall(wall, factor)) : state.walls,
+    artworks: Array.isArray(state.artworks) ? state.artworks.map(a => scaleFields(a, LENGTH_FIELDS.artwork, factor)) : state.artworks
+  });
+
+  // State saved before lengthUnit existed holds lengths in its display unit.
+  const toCentimetres = source =>
+    source.lengthUnit == null && source.units === 'inches' ? scaleLengths(source, 2.54) : source;
+
+  // State from before rooms describes one wall at the top level; it becomes the room's only
+  // wall, holding every artwork.
+  const toRoom = source => {
+    if (Array.isArray(source.walls) && source.walls.length > 0) return source;
+    const wall = WALL_FIELDS.reduce((w, field) => (field in source ? { ...w, [field]: source[field] } : w), { id: 1 });
+    const rest = { ...source };
+    WALL_FIELDS.forEach(field => delete rest[field]);
+    const artworks = Array.isArray(source.artworks) && source.artworks.length > 0 ? source.artworks : [defaultArtwork()];
+    return { ...rest, walls: [wall], activeWallId: wall.id, artworks: artworks.map(art => ({ ...art, wallId: wall.id })) };
+  };
+
+  const normalizeWall = (wall, i) => {
+    const defaults = defaultWall(i + 1);
+    return {
+      ...defaults,
+      ...wall,
+      id: wall.id != null ? wall.id : i + 1,
+      name: wall.name || defaults.name,
+      substrate: Object.keys(HardwareRules.SUBSTRATES).includes(wall.substrate) ? wall.substrate : defaults.substrate,
+      layout: { ...defaults.layout, ...(wall.layout || {}) },
+      obstacles: Array.isArray(wall.obstacles) ? wall.obstacles : [],
+      furniture: { ...defaults.furniture, ...(wall.furniture || {}) },
+      reference: { ...defaults.reference, ...(wall.reference || {}) },
+      installation: { ...defaults.installation, ...(wall.installation || {}) },
+      heightPolicy: { ...defaults.heightPolicy, ...(wall.heightPolicy || {}) },
+      datum: { ...defaults.datum, ...(wall.datum || {}) }
+    };
+  };
+
+  // Fills in anything missing so older or hand-edited state still loads. Saved projects and
+  // share links carry no file version, so they are brought up to date here as well.
+  const normalizeState = state => {
+    const defaults = defaultState();
+    const source = toRoom(toCentimetres(state && typeof state === 'object' ? state : {}));
+    const walls = source.walls.map(normalizeWall);
+    const artworks = Array.isArray(source.artworks) ? source.artworks : defaults.artworks;
+
+    return {
+      ...defaults,
+      ...source,
+      lengthUnit: 'cm',
+      walls,
+      activeWallId: walls.some(wall => wall.id === source.activeWallId) ? source.activeWallId : walls[0].id,
+      artworks: artworks.map((art, i) => ({
+        ...defaultArtwork(),
+        ...art,
+        id: art.id != null ? art.id : i + 1,
+        wallId: walls.some(wall => wall.id === art.wallId) ? art.wallId : null
+      }))
+    };
+  };
+
+  // Timestamp ids for projects and artworks, bumped when two are created in the same
+  // millisecond so a batch never runs ahead of the clock for ids made later.
+  let lastId = 0;
+  const nextId = () => {
+    lastId = Math.max(Date.now(), lastId + 1);
+    return lastId;
+  };
+
+  const createProject = (name, state = defaultState()) => ({
+    id: nextId(),
+    name,
+    updatedAt: new Date().toISOString(),
+    state: normalizeState(JSON.parse(JSON.stringify(state)))
+  });
+
+  const readStorage = key => {
+    try {
+      return root.localStorage ? root.localStorage.getItem(key) : null;
+    } catch (e) {
+      return null;
+    }
+  };
+
+  // False when storage is full or disabled; the session keeps working in memory.
+  const writeStorage = (key, value) => {
+    try {
+      if (root.localStorage) root.localStorage.setItem(key, value);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  };
+
+  // Always returns at least one project.
+  const loadProjects = () => {
+    let projects = [];
+    try {
+      const parsed = JSON.parse(readStorage(STORAGE_KEY) || '[]');
+      if (Array.isArray(parsed)) {
+        projects = parsed.filter(p => p && p.id != null).map(p => ({ ...p, state: normalizeState(p.state) }));
+      }
+    } catch (e) {
+      projects = [];
+    }
+    return projects.length > 0 ? projects : [createProject('My Room')];
+  };
+
+  // False when the projects could not be stored, most often because wall photos filled the
+  // browser's storage.
+  const saveProjects = projects => writeStorage(STORAGE_KEY, JSON.stringify(projects));
+
+  const loadActiveProjectId = projects => {
+    const stored = readStorage(ACTIVE_KEY);
+    const match = projects.find(p => String(p.id) === stored);
+    return match ? match.id : projects[0].id;
+  };
+
+  const saveActiveProjectId = id => writeStorage(ACTIVE_KEY, String(id));
+
+  const serializeProject = project =>
+    JSON.stringify(
+      {
+        format: FILE_FORMAT,
+        version: FILE_VERSION,
+        exportedAt: new Date().toISOString(),
+        project: { name: project.name, state: project.state }
+      },
+      null,
+      2
+    );
+
+  // Upgrades file contents one version at a time: migrations[n] turns version n into n + 1.
+  // Files stayed at version 1 through both changes below, so each step leaves state that is
+  // already in the newer shape alone.
+  const migrateState = upgrade => data => ({
+    ...data,
+    project: { ...data.project, state: data.project && data.project.state ? upgrade(data.project.state) : undefined }
+  });
+  const migrations = {
+    // Version 2 stores lengths in centimetres whatever the display unit.
+    1: migrateState(state => ({ ...toCentimetres(state), lengthUnit: 'cm' })),
+    // Version 3 is a room of walls sharing one artwork inventory.
+    2: migrateState(toRoom)
+  };
+
+  // Returns a new project from an exported file, or throws an Error describing what is wrong.
+  const parseProjectFile = text => {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error('File is not valid JSON');
+    }
+    if (!data || data.format !== FILE_FORMAT) throw new Error('Not an Art Hanging project file');
+    if (typeof data.version !== 'number' || data.version > FILE_VERSION) {
+      throw new Error(`Unsupported project file version: ${data.version}`);
+    }
+
+    let version = data.version;
+    while (version < FILE_VERSION) {
+      data = migrations[version](data);
+      version++;
+    }
+
+    const project = data.project || {};
+    return createProject(project.name || 'Imported project', project.state);
+  };
+
+  const ProjectStore = {
+    FILE_VERSION,
+    defaultState,
+    defaultWall,
+    defaultArtwork,
+    normalizeState,
+    nextId,
+    createProject,
+    loadProjects,
+    saveProjects,
+    loadActiveProjectId,
+    saveActiveProjectId,
+    serializeProject,
+    parseProjectFile
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = ProjectStore;
+  } else {
+    root.ProjectStore = ProjectStore;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,339 @@
+// share.js
+// Encodes the whole room plan, every wall and the artwork inventory, into a URL fragment (#plan=...) and back.
+// The payload is a versioned, positional JSON array in base64url. decoders[n] reads
+// version n and returns calculator state, so links made by older builds keep opening.
+// Since version 9 lengths are centimetres whatever the display unit; older links hold
+// lengths in their display unit and are converted by ProjectStore.normalizeState.
+
+(function (root) {
+  const PLAN_VERSION = 15;
+  const HASH_PREFIX = '#plan=';
+
+  const DISPLAY_UNITS = ['cm', 'inches', 'mm'];
+  const CONFIGURATIONS = ['single', 'vertical', 'horizontal', 'custom', 'freeform'];
+  const MOUNTING_TYPES = ['wire', 'dring', 'centerDring', 'sawtooth', 'keyhole', 'cleat', 'zbar', 'wireLength'];
+  const OBSTACLE_TYPES = ['window', 'door', 'outlet', 'switch', 'thermostat', 'other'];
+  const HEIGHT_POLICIES = ['centroid', 'eyeLevel', 'ceiling', 'bottomEdge'];
+  const SUBSTRATES = ['drywall', 'plaster', 'brick', 'concrete', 'woodStud'];
+
+  // Text is encoded as UTF-8 so names and titles outside Latin-1 survive btoa.
+  const toBase64Url = text => {
+    const binary = Array.from(new root.TextEncoder().encode(text), byte => String.fromCharCode(byte)).join('');
+    return root.btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  };
+
+  // Links made before UTF-8 encoding hold Latin-1 text, which is rarely valid UTF-8; those
+  // are read as they are.
+  const fromBase64Url = text => {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = root.atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+    try {
+      return new root.TextDecoder('utf-8', { fatal: true }).decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+    } catch (e) {
+      return binary;
+    }
+  };
+
+  const encodeArtwork = art => [
+    art.width,
+    art.height,
+    Math.max(0, MOUNTING_TYPES.indexOf(art.mountingType)),
+    art.wireOffset,
+    art.mountingVerticalOffset,
+    art.mountingHorizontalOffset,
+    art.hangerOffset,
+    art.freeformX != null ? art.freeformX : null,
+    art.freeformY != null ? art.freeformY : null,
+    art.sawtoothOffset,
+    art.keyholeOffset,
+    art.keyholeSpacing,
+    art.railLength,
+    art.railOffset,
+    art.screwSpacing,
+    art.wireLength,
+    art.wireAttachDrop,
+    art.wireAttachInset,
+    art.wireNailSpacing,
+    art.rowSpan,
+    art.colSpan,
+    art.title || '',
+    art.artist || '',
+    art.weight || 0
+  ];
+
+  // One wall's fields in payload order: they fill slots 2-5 and 7-11, around the artworks.
+  const encodeWall = wall => [
+    wall.targetCentroid,
+    wall.wallWidth,
+    Math.max(0, CONFIGURATIONS.indexOf(wall.configuration)),
+    [wall.layout.rows, wall.layout.cols, wall.layout.horizontalGap, wall.layout.verticalGap],
+    (wall.obstacles || []).map(o => [Math.max(0, OBSTACLE_TYPES.indexOf(o.type)), o.x, o.y, o.width, o.height, o.clearance]),
+    wall.furniture
+      ? [
+          wall.furniture.enabled ? 1 : 0,
+          wall.furniture.x,
+          wall.furniture.width,
+          wall.furniture.height,
+          wall.furniture.gap,
+          wall.furniture.minClearance
+        ]
+      : null,
+    [wall.layout.rowAlign, wall.layout.colAlign, wall.layout.rowAlignments, wall.layout.colAlignments],
+    wall.reference
+      ? [wall.reference.edge === 'right' ? 1 : 0, wall.reference.anchorEnabled ? 1 : 0, wall.reference.anchorX, wall.reference.anchorLabel]
+      : null,
+    wall.layout.rowCounts || []
+  ];
+
+  const encodeHeightPolicy = ({ heightPolicy: policy }) =>
+    policy
+      ? [
+          Math.max(0, HEIGHT_POLICIES.indexOf(policy.type)),
+          policy.viewerHeight,
+          policy.ceilingHeight,
+          policy.ceilingProportion,
+          policy.bottomEdge,
+          policy.ceilingClearance,
+          policy.floorClearance
+        ]
+      : null;
+
+  // The first wall sits where single-wall plans keep theirs; the rest of the room follows.
+  const encodePlan = state => {
+    const [first, ...others] = state.walls;
+    const firstWall = encodeWall(first);
+    return toBase64Url(
+      JSON.stringify([
+        PLAN_VERSION,
+        Math.max(0, DISPLAY_UNITS.indexOf(state.units)),
+        ...firstWall.slice(0, 4),
+        state.artworks.map(encodeArtwork),
+        ...firstWall.slice(4),
+        state.walls.map(wall => wall.name),
+        others.map(encodeWall),
+        state.artworks.map(art => state.walls.findIndex(wall => wall.id === art.wallId)),
+        Math.max(0, state.walls.findIndex(wall => wall.id === state.activeWallId)),
+        state.walls.map(encodeHeightPolicy),
+        state.walls.map(wall => Math.max(0, SUBSTRATES.indexOf(wall.substrate))),
+        state.walls.map(({ datum }) =>
+          datum ? [datum.name, datum.offset, datum.level ? 1 : 0, datum.floorLeft, datum.floorRight] : null
+        )
+      ])
+    );
+  };
+
+  const decoders = {
+    1: ([, units, targetCentroid, wallWidth, configuration, layout, artworks]) => ({
+      units: units === 1 ? 'inches' : 'cm',
+      targetCentroid,
+      wallWidth,
+      configuration: CONFIGURATIONS[configuration] || 'single',
+      layout: { rows: layout[0], cols: layout[1], horizontalGap: layout[2], verticalGap: layout[3] },
+      artworks: artworks.map((a, i) => ({
+        id: i + 1,
+        width: a[0],
+        height: a[1],
+        mountingType: MOUNTING_TYPES[a[2]] || 'wire',
+        wireOffset: a[3],
+        mountingVerticalOffset: a[4],
+        mountingHorizontalOffset: a[5],
+        hangerOffset: a[6]
+      }))
+    }),
+    // Version 2 appends wall obstacles.
+    2: payload => ({
+      ...decoders[1](payload),
+      obstacles: payload[7].map((o, i) => ({
+        id: i + 1,
+        type: OBSTACLE_TYPES[o[0]] || 'other',
+        x: o[1],
+        y: o[2],
+        width: o[3],
+        height: o[4],
+        clearance: o[5]
+      }))
+    }),
+    // Version 3 appends the furniture reference.
+    3: payload => {
+      const furniture = payload[8];
+      return {
+        ...decoders[2](payload),
+        ...(furniture && {
+          furniture: {
+            enabled: furniture[0] === 1,
+            x: furniture[1],
+            width: furniture[2],
+            height: furniture[3],
+            gap: furniture[4],
+            minClearance: furniture[5]
+          }
+        })
+      };
+    },
+    // Version 4 adds freeform positions to each artwork.
+    4: payload => {
+      const state = decoders[3](payload);
+      return {
+        ...state,
+        artworks: state.artworks.map((art, i) => {
+          const [freeformX, freeformY] = payload[6][i].slice(7);
+          return freeformX != null ? { ...art, freeformX, freeformY } : art;
+        })
+      };
+    },
+    // Version 5 adds custom grid alignment.
+    5: payload => {
+      const state = decoders[4](payload);
+      const [rowAlign, colAlign, rowAlignments, colAlignments] = payload[9];
+      return { ...state, layout: { ...state.layout, rowAlign, colAlign, rowAlignments, colAlignments } };
+    },
+    // Version 6 adds the horizontal reference edge and group anchor.
+    6: payload => {
+      const reference = payload[10];
+      return {
+        ...decoders[5](payload),
+        ...(reference && {
+          reference: {
+            edge: reference[0] === 1 ? 'right' : 'left',
+            anchorEnabled: reference[1] === 1,
+            anchorX: reference[2],
+            anchorLabel: reference[3]
+          }
+        })
+      };
+    },
+    // Version 7 adds sawtooth, keyhole and rail hardware measurements.
+    7: payload => {
+      const state = decoders[6](payload);
+      return {
+        ...state,
+        artworks: state.artworks.map((art, i) => {
+          const [sawtoothOffset, keyholeOffset, keyholeSpacing, railLength, railOffset, screwSpacing] = payload[6][i].slice(9);
+          return { ...art, sawtoothOffset, keyholeOffset, keyholeSpacing, railLength, railOffset, screwSpacing };
+        })
+      };
+    },
+    // Version 8 adds wire length and attachment points.
+    8: payload => {
+      const state = decoders[7](payload);
+      return {
+        ...state,
+        artworks: state.artworks.map((art, i) => {
+          const [wireLength, wireAttachDrop, wireAttachInset, wireNailSpacing] = payload[6][i].slice(15);
+          return { ...art, wireLength, wireAttachDrop, wireAttachInset, wireNailSpacing };
+        })
+      };
+    },
+    // Version 9 stores lengths in centimetres and adds millimetres as a display unit.
+    9: payload => ({ ...decoders[8](payload), units: DISPLAY_UNITS[payload[1]] || 'cm', lengthUnit: 'cm' }),
+    // Version 10 adds items per grid row and grid spans for each artwork.
+    10: payload => {
+      const state = decoders[9](payload);
+      return {
+        ...state,
+        layout: { ...state.layout, rowCounts: payload[11] },
+        artworks: state.artworks.map((art, i) => {
+          const [rowSpan, colSpan] = payload[6][i].slice(19);
+          return { ...art, rowSpan, colSpan };
+        })
+      };
+    },
+    // Version 11 holds a room: after the first wall come the wall names, the other walls in
+    // encodeWall's form, each artwork's wall index (-1 when unassigned) and the open wall.
+    11: payload => {
+      const [names, others, artworkWalls, active] = payload.slice(12);
+      const wallOnly = ({ units, lengthUnit, artworks, ...wall }) => wall;
+      const decodeWall = slots => wallOnly(decoders[10]([10, payload[1], ...slots.slice(0, 4), [], ...slots.slice(4)]));
+      const state = decoders[10](payload);
+      const walls = [wallOnly(state), ...others.map(decodeWall)].map((wall, i) => ({ ...wall, id: i + 1, name: names[i] }));
+      return {
+        units: state.units,
+        lengthUnit: state.lengthUnit,
+        walls,
+        activeWallId: active + 1,
+        artworks: state.artworks.map((art, i) => ({ ...art, wallId: artworkWalls[i] >= 0 ? artworkWalls[i] + 1 : null }))
+      };
+    },
+    // Version 12 adds each artwork's title, artist and weight. Photos stay out of links; they
+    // would make them far too long.
+    12: payload => {
+      const state = decoders[11](payload);
+      return {
+        ...state,
+        artworks: state.artworks.map((art, i) => {
+          const [title, artist, weight] = payload[6][i].slice(21);
+          return { ...art, title, artist, weight };
+        })
+      };
+    },
+    // Version 13 appends each wall's hanging-height policy.
+    13: payload => {
+      const state = decoders[12](payload);
+      return {
+        ...state,
+        walls: state.walls.map((wall, i) => {
+          const policy = payload[16][i];
+          if (!policy) return wall;
+          const [type, viewerHeight, ceilingHeight, ceilingProportion, bottomEdge, ceilingClearance, floorClearance] = policy;
+          return {
+            ...wall,
+            heightPolicy: {
+              type: HEIGHT_POLICIES[type] || 'centroid',
+              viewerHeight,
+              ceilingHeight,
+              ceilingProportion,
+              bottomEdge,
+              ceilingClearance,
+              floorClearance
+            }
+          };
+        })
+      };
+    },
+    // Version 14 appends each wall's material.
+    14: payload => {
+      const state = decoders[13](payload);
+      return { ...state, walls: state.walls.map((wall, i) => ({ ...wall, substrate: SUBSTRATES[payload[17][i]] || 'drywall' })) };
+    },
+    // Version 15 appends each wall's vertical datum and floor heights.
+    15: payload => {
+      const state = decoders[14](payload);
+      return {
+        ...state,
+        walls: state.walls.map((wall, i) => {
+          const datum = payload[18][i];
+          if (!datum) return wall;
+          const [name, offset, level, floorLeft, floorRight] = datum;
+          return { ...wall, datum: { name, offset, level: level === 1, floorLeft, floorRight } };
+        })
+      };
+    }
+  };
+
+  // Returns calculator state, or throws an Error if the payload cannot be read.
+  const decodePlan = encoded => {
+    let payload;
+    try {
+      payload = JSON.parse(fromBase64Url(encoded));
+    } catch (e) {
+      throw new Error('The link is damaged or incomplete');
+    }
+    if (!Array.isArray(payload) || !decoders[payload[0]]) {
+      throw new Error(`Unsupported plan version: ${Array.isArray(payload) ? payload[0] : 'unknown'}`);
+    }
+    return decoders[payload[0]](payload);
+  };
+
+  const planUrl = (location, state) => `${location.origin}${location.pathname}${HASH_PREFIX}${encodePlan(state)}`;
+
+  // State encoded in a location hash, or null when the hash holds no plan.
+  const readHash = hash => (hash && hash.startsWith(HASH_PREFIX) ? decodePlan(hash.slice(HASH_PREFIX.length)) : null);
+
+  const SharePlan = { PLAN_VERSION, encodePlan, decodePlan, planUrl, readHash };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = SharePlan;
+  } else {
+    root.SharePlan = SharePlan;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,56 @@
+// Auto-arrange suggestions for four equal pieces.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { suggestArrangements } = require('../arrange.js');
+const { findConflicts } = require('../engine.js');
+
+const art = id => ({ id, width: 40, height: 30, mountingType: 'wire', wireOffset: 0, hangerOffset: 0 });
+const context = (wall, obstacles = []) => ({
+  wall,
+  artworks: [art(1), art(2), art(3), art(4)],
+  layout: { horizontalGap: 10, verticalGap: 10 },
+  obstacles,
+  furniture: { enabled: false }
+});
+const shape = candidate => `${candidate.layout.rows}x${candidate.layout.cols}`;
+
+test('ranking is the same on every run', () => {
+  const summary = () =>
+    suggestArrangements(context({ width: 300, targetCentroid: 150 })).map(c => [c.label, +c.scores.total.toFixed(6)]);
+  const first = summary();
+  assert.ok(first.length > 1);
+  assert.deepEqual(summary(), first);
+  assert.equal(first[0][0], '2 × 2 grid, as entered, centerline rows');
+});
+
+test('suggestions fit the wall and rank obstacle conflicts lower', () => {
+  // A 120 wide wall has no room for a row of four (190 wide).
+  const narrow = suggestArrangements(context({ width: 120, targetCentroid: 150 }));
+  assert.ok(narrow.length > 0);
+  narrow.forEach(c => {
+    assert.ok(Math.min(...c.placements.map(p => p.frame.left)) >= 0, c.label);
+    assert.ok(Math.max(...c.placements.map(p => p.frame.right)) <= 120, c.label);
+  });
+  assert.ok(!narrow.some(c => shape(c) === '1x4'));
+
+  // The thermostat is hit by a row of four (55 to 245) but not by the 2 × 2 grid (105 to 195).
+  const obstacles = [{ id: 1, type: 'thermostat', x: 60, y: 145, width: 10, height: 10, clearance: 0 }];
+  const suggestions = suggestArrangements(context({ width: 300, targetCentroid: 150 }, obstacles));
+  suggestions.forEach(c => assert.equal(c.conflicts, findConflicts(c.placements, obstacles).length, c.label));
+  assert.equal(suggestions[0].conflicts, 0);
+  const row = suggestions.find(c => shape(c) === '1x4');
+  assert.equal(row.conflicts, 1);
+  assert.ok(row.scores.total < suggestions.find(c => shape(c) === '4x1').scores.total);
+});
+
+test('a stack raised to keep the floor clearance is penalised by the share of its height it moved', () => {
+  const suggestions = suggestArrangements(context({ width: 300, targetCentroid: 60 }));
+  // The stack of four is 150 tall; centred at 60 its bottom would be 15 below the floor.
+  const stack = suggestions.find(c => shape(c) === '4x1');
+  assert.equal(stack.scores.moved, 15 / 150);
+  const { balance, symmetry, alignment } = stack.scores;
+  assert.ok(Math.abs(stack.scores.total - ((balance + symmetry + alignment) / 3 - 0.1)) < 1e-9);
+  assert.equal(suggestions.find(c => shape(c) === '1x4').scores.moved, 0);
+  assert.ok(suggestions.indexOf(stack) > suggestions.findIndex(c => shape(c) === '1x4'));
+});
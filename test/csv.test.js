@@ -0,0 +1,32 @@
+// CSV import reads each cell in the unit its column header names.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ArtCsv = require('../csv.js');
+
+const importText = (text, units) => {
+  const [headers, ...rows] = ArtCsv.parseCsv(text);
+  return ArtCsv.importArtworks(headers, rows, ArtCsv.guessMapping(headers), units);
+};
+
+test('a weight header in kilograms overrides the display unit', () => {
+  const { artworks, errors } = importText('Width,Height,Weight (kg)\n50,40,12\n', 'inches');
+  assert.deepEqual(errors, []);
+  assert.equal(artworks[0].weight, 12);
+});
+
+test('a weight header in pounds overrides the display unit', () => {
+  const { artworks } = importText('Width,Height,Weight (lb)\n50,40,10\n', 'cm');
+  assert.ok(Math.abs(artworks[0].weight - 4.5359237) < 1e-6);
+});
+
+test('a unit typed in the cell wins over the header', () => {
+  const { artworks } = importText('Width,Height,Weight (kg)\n50,40,500 g\n', 'cm');
+  assert.equal(artworks[0].weight, 0.5);
+});
+
+test('a length header in inches is read as inches', () => {
+  const { artworks } = importText('Width (in),Height (in)\n10,20\n', 'cm');
+  assert.ok(Math.abs(artworks[0].width - 25.4) < 1e-6);
+  assert.ok(Math.abs(artworks[0].height - 50.8) < 1e-6);
+});
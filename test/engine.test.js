@@ -0,0 +1,219 @@
+// Placement engine results for each layout mode, checked against values worked out by hand.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computePlacements, findConflicts, installOrder, validatePlan } = require('../engine.js');
+
+const wall = { width: 300, targetCentroid: 150 };
+const art = fields => ({ id: 1, width: 0, height: 0, mountingType: 'wire', wireOffset: 0, hangerOffset: 0, ...fields });
+const nailPoints = placement => placement.nails.map(({ x, y }) => ({ x, y }));
+
+test('single: a wire hangs its nail at centroid + half height - wire offset + hanger offset', () => {
+  const [p] = computePlacements({
+    wall,
+    configuration: 'single',
+    artworks: [art({ width: 60, height: 40, wireOffset: 10, hangerOffset: 2 })]
+  });
+  assert.equal(p.centroid, 150);
+  assert.deepEqual(nailPoints(p), [{ x: 150, y: 162 }]);
+});
+
+test('single: D-ring nails are measured down from the top edge', () => {
+  const [p] = computePlacements({
+    wall,
+    configuration: 'single',
+    artworks: [art({ width: 80, height: 50, mountingType: 'dring', mountingVerticalOffset: 12, mountingHorizontalOffset: 5 })]
+  });
+  // Frame top 175, less the 12 drop. Measuring up from the bottom edge gave 125 + 12 = 137.
+  assert.deepEqual(nailPoints(p), [
+    { x: 115, y: 163 },
+    { x: 185, y: 163 }
+  ]);
+});
+
+test('vertical: the stack is centred on the target centroid, artwork 1 lowest', () => {
+  const placements = computePlacements({
+    wall,
+    configuration: 'vertical',
+    layout: { verticalGap: 10 },
+    artworks: [art({ id: 1, width: 50, height: 40 }), art({ id: 2, width: 50, height: 60 })]
+  });
+  // 110 tall, so the stack starts at 150 - 55 = 95.
+  assert.deepEqual(
+    placements.map(p => p.centroid),
+    [115, 175]
+  );
+  assert.deepEqual(placements.map(nailPoints), [[{ x: 150, y: 135 }], [{ x: 150, y: 205 }]]);
+});
+
+test('horizontal: the row is centred on the wall with every piece on the centroid', () => {
+  const placements = computePlacements({
+    wall,
+    configuration: 'horizontal',
+    layout: { horizontalGap: 10 },
+    artworks: [art({ id: 1, width: 50, height: 40 }), art({ id: 2, width: 30, height: 20 })]
+  });
+  // 90 wide, so the row starts at 150 - 45 = 105.
+  assert.deepEqual(
+    placements.map(p => [p.centerX, p.centroid]),
+    [
+      [130, 150],
+      [180, 150]
+    ]
+  );
+  assert.deepEqual(placements.map(nailPoints), [[{ x: 130, y: 170 }], [{ x: 180, y: 160 }]]);
+});
+
+test('custom: the grid is centred using its row heights', () => {
+  const placements = computePlacements({
+    wall,
+    configuration: 'custom',
+    layout: { rows: 2, cols: 2, horizontalGap: 10, verticalGap: 10 },
+    artworks: [
+      art({ id: 1, width: 30, height: 20 }),
+      art({ id: 2, width: 40, height: 40 }),
+      art({ id: 3, width: 20, height: 30 }),
+      art({ id: 4, width: 50, height: 10 })
+    ]
+  });
+  // Rows are 40 and 30 tall, so the grid is 80 tall and starts at 150 - 40 = 110. Summing the
+  // first column (20 + 10 + 30) made it 60 tall and started it at 120.
+  assert.deepEqual(
+    placements.map(p => [p.position, p.centerX, p.centroid]),
+    [
+      ['Row 1, Col 1', 120, 120],
+      ['Row 1, Col 2', 165, 130],
+      ['Row 2, Col 1', 115, 175],
+      ['Row 2, Col 2', 170, 165]
+    ]
+  );
+});
+
+test('a group raised to keep the floor clearance is reported as a warning', () => {
+  const plan = { wall: { width: 300, targetCentroid: 30 }, configuration: 'single', artworks: [art({ width: 60, height: 100 })] };
+  const placements = computePlacements(plan);
+  // Centred at 30, the bottom would be 20 below the floor.
+  assert.equal(placements[0].centroid, 50);
+  assert.deepEqual(
+    validatePlan(plan, placements).filter(issue => issue.field === 'floorClearance'),
+    [{ level: 'warning', field: 'floorClearance', message: 'The arrangement is raised to keep the floor clearance', amount: 20 }]
+  );
+});
+
+test('a cleat or Z-bar without a rail length is an error', () => {
+  ['cleat', 'zbar'].forEach(mountingType => {
+    const issues = validatePlan({ wall, artworks: [art({ width: 60, height: 40, mountingType, railLength: 0 })] }, []);
+    assert.deepEqual(
+      issues.filter(issue => issue.field === 'railLength'),
+      [{ level: 'error', field: 'railLength', artworkId: 1, message: 'Enter the rail length' }]
+    );
+  });
+});
+
+test('on a sloping floor, nails at one level are the same height above a level laser line', () => {
+  const placements = computePlacements({
+    wall: { width: 400, targetCentroid: 150, datum: { name: 'floor', offset: 0, level: false, floorLeft: 0, floorRight: 4 } },
+    configuration: 'horizontal',
+    layout: { horizontalGap: 50 },
+    artworks: [art({ id: 1, width: 100, height: 40, wireOffset: 0 }), art({ id: 2, width: 100, height: 40, wireOffset: 0 })]
+  });
+  // Nails at x 125 and 275, both 170 up the plan's level line. The floor is 1.25 and 2.75 up there.
+  assert.deepEqual(
+    placements.flatMap(p => p.nails.map(nail => [nail.x, nail.y, nail.fromDatum, nail.fromLevel])),
+    [
+      [125, 170, 168.75, 170],
+      [275, 170, 167.25, 170]
+    ]
+  );
+});
+
+test('measured from the right edge, the laser line starts from the floor at the right end', () => {
+  const [p] = computePlacements({
+    wall: { width: 400, targetCentroid: 150, referenceEdge: 'right', datum: { name: 'floor', offset: 0, level: false, floorLeft: 0, floorRight: 4 } },
+    configuration: 'single',
+    artworks: [art({ width: 100, height: 40 })]
+  });
+  assert.deepEqual([p.nails[0].y, p.nails[0].fromLevel], [170, 166]);
+});
+
+test('furniture and obstacles stay measured from the left wall edge when nails are measured from the right', () => {
+  const placements = computePlacements({
+    wall: { width: 400, targetCentroid: 150, referenceEdge: 'right' },
+    configuration: 'single',
+    artworks: [art({ width: 60, height: 40 })],
+    furniture: { enabled: true, x: 50, width: 100, height: 80, gap: 20, minClearance: 0 }
+  });
+  // Centred on the furniture at 50 + 100 / 2 = 100 from the left, so 300 from the right.
+  assert.equal(placements[0].centerX, 100);
+  assert.equal(placements[0].nails[0].distance, 300);
+  const obstacle = { id: 1, type: 'window', x: 60, y: 90, width: 20, height: 20, clearance: 0 };
+  assert.equal(findConflicts(placements, [obstacle]).length > 0, true);
+  assert.deepEqual(findConflicts(placements, [{ ...obstacle, x: 300 }]), []);
+});
+
+test('wire from length: one nail sits where the taut wire peaks', () => {
+  const [p] = computePlacements({
+    wall,
+    configuration: 'single',
+    artworks: [art({ width: 80, height: 60, mountingType: 'wireLength', wireLength: 100, wireAttachDrop: 50, wireAttachInset: 10 })]
+  });
+  // Attachments 30 either side of centre on a 100 wire: each half is a 30-40-50 triangle, so the
+  // wire rises 40 above the attachments, 50 - 40 = 10 below the top edge at 180.
+  assert.equal(p.restDrop, 10);
+  assert.deepEqual(nailPoints(p), [{ x: 150, y: 170 }]);
+});
+
+test('wire from length: two nails share the rise over the shorter slant', () => {
+  const [p] = computePlacements({
+    wall,
+    configuration: 'single',
+    artworks: [
+      art({ width: 100, height: 60, mountingType: 'wireLength', wireLength: 120, wireAttachDrop: 50, wireAttachInset: 10, wireNailSpacing: 20 })
+    ]
+  });
+  // 20 of the 120 wire lies between the nails; each 50 slant runs 40 - 10 = 30 across and rises 40.
+  assert.equal(p.restDrop, 10);
+  assert.deepEqual(nailPoints(p), [
+    { x: 140, y: 170 },
+    { x: 160, y: 170 }
+  ]);
+});
+
+test('wire from length: a wire too short to reach the nail is an error', () => {
+  const artworks = [art({ width: 80, height: 60, mountingType: 'wireLength', wireLength: 50, wireAttachDrop: 50, wireAttachInset: 10 })];
+  const plan = { wall, configuration: 'single', artworks };
+  // The attachments are 60 apart, so the wire needs at least 60.
+  assert.deepEqual(
+    validatePlan(plan, computePlacements(plan)).filter(issue => issue.field === 'wireLength'),
+    [{ level: 'error', field: 'wireLength', artworkId: 1, message: 'Wire is too short to reach the nails', amount: 10 }]
+  );
+});
+
+test('install order works away from the measuring edge, top to bottom in each column', () => {
+  const grid = referenceEdge =>
+    computePlacements({
+      wall: { ...wall, referenceEdge },
+      configuration: 'custom',
+      layout: { rows: 2, cols: 2, horizontalGap: 10, verticalGap: 10 },
+      artworks: [1, 2, 3, 4].map(id => art({ id, width: 40, height: 30 }))
+    });
+  // Columns at x 125 and 175; row 1 (artworks 1 and 2) has its nails at 145, row 2 at 185.
+  const fromLeft = installOrder(grid('left'));
+  assert.deepEqual(
+    fromLeft.map(nail => [nail.step, nail.placement.id, nail.x, nail.y]),
+    [
+      [1, 3, 125, 185],
+      [2, 1, 125, 145],
+      [3, 4, 175, 185],
+      [4, 2, 175, 145]
+    ]
+  );
+  assert.deepEqual(
+    fromLeft.map(nail => nail.fromPrevious),
+    [null, { dx: 0, dy: -40 }, { dx: 50, dy: 40 }, { dx: 0, dy: -40 }]
+  );
+  assert.deepEqual(
+    installOrder(grid('right')).map(nail => nail.placement.id),
+    [4, 2, 3, 1]
+  );
+});
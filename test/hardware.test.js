@@ -0,0 +1,45 @@
+// Fastener recommendations from the default hardware rules.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SUBSTRATES, DEFAULT_RULES, recommend } = require('../hardware.js');
+const ProjectStore = require('../projects.js');
+
+const pick = advice => advice && { fastener: advice.rule.fastener, count: advice.count, capacity: advice.capacity, over: advice.over };
+
+test('the load is shared between hanging points and the lightest fastener that holds it is chosen', () => {
+  // 16 kg on two points is 8 kg each, within one 10 kg picture hook.
+  assert.deepEqual(pick(recommend(16, 2, 'drywall', DEFAULT_RULES)), { fastener: 'Picture hook and nail', count: 1, capacity: 10, over: false });
+  // 16 kg on one point needs two picture hooks.
+  assert.deepEqual(pick(recommend(16, 1, 'drywall', DEFAULT_RULES)), { fastener: 'Picture hook and nail', count: 2, capacity: 20, over: false });
+  assert.equal(recommend(16, 1, 'drywall', DEFAULT_RULES).load, 16);
+});
+
+test('every substrate has a recommendation for a light piece', () => {
+  const expected = {
+    drywall: 'Picture hook and nail',
+    plaster: 'Picture hook and hardened nail',
+    brick: 'Wall plug and screw',
+    concrete: 'Wall plug and screw',
+    woodStud: 'Picture hook and nail'
+  };
+  Object.keys(SUBSTRATES).forEach(substrate => {
+    assert.equal(recommend(5, 2, substrate, DEFAULT_RULES).rule.fastener, expected[substrate], substrate);
+  });
+});
+
+test('a load over every rule gets the strongest fastener, marked over', () => {
+  // 100 kg on one point; two toggle bolts hold 70 kg.
+  assert.deepEqual(pick(recommend(100, 1, 'drywall', DEFAULT_RULES)), { fastener: 'Toggle bolt', count: 2, capacity: 70, over: true });
+});
+
+test('no recommendation without points, weight or rules for the material', () => {
+  assert.equal(recommend(10, 0, 'drywall', DEFAULT_RULES), null);
+  assert.equal(recommend(0, 2, 'drywall', DEFAULT_RULES), null);
+  assert.equal(recommend(10, 2, 'glass', DEFAULT_RULES), null);
+});
+
+test('a wall with an unknown material loads as drywall', () => {
+  const state = ProjectStore.normalizeState({ walls: [{ id: 1, substrate: 'marble' }, { id: 2, substrate: 'toString' }, { id: 3, substrate: 'brick' }] });
+  assert.deepEqual(state.walls.map(wall => wall.substrate), ['drywall', 'drywall', 'brick']);
+});
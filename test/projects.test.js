@@ -0,0 +1,62 @@
+// Project files from every file version load into the current room state.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ProjectStore = require('../projects.js');
+
+const file = (version, state) => JSON.stringify({ format: 'art-hanging-project', version, project: { name: 'Hall', state } });
+
+test('version 1: one wall with lengths in inches becomes a room in centimetres', () => {
+  const project = ProjectStore.parseProjectFile(
+    file(1, {
+      units: 'inches',
+      targetCentroid: 60,
+      wallWidth: 100,
+      configuration: 'single',
+      artworks: [{ id: 7, width: 20, height: 10 }]
+    })
+  );
+  const { state } = project;
+  assert.equal(project.name, 'Hall');
+  assert.equal(state.lengthUnit, 'cm');
+  assert.equal(state.walls.length, 1);
+  assert.deepEqual([state.walls[0].targetCentroid, state.walls[0].wallWidth], [152.4, 254]);
+  assert.deepEqual([state.artworks[0].width, state.artworks[0].height], [50.8, 25.4]);
+  assert.equal(state.artworks[0].wallId, state.walls[0].id);
+  assert.equal(state.activeWallId, state.walls[0].id);
+});
+
+test('version 2: one wall in centimetres becomes a room without rescaling', () => {
+  const { state } = ProjectStore.parseProjectFile(
+    file(2, { units: 'inches', lengthUnit: 'cm', wallWidth: 254, artworks: [{ id: 7, width: 50.8, height: 25.4 }] })
+  );
+  assert.equal(state.walls[0].wallWidth, 254);
+  assert.deepEqual([state.artworks[0].width, state.artworks[0].wallId], [50.8, state.walls[0].id]);
+});
+
+test('version 3: a room loads as saved', () => {
+  const room = ProjectStore.defaultState();
+  room.walls = [ProjectStore.defaultWall(1, 'North'), { ...ProjectStore.defaultWall(2, 'South'), wallWidth: 300 }];
+  room.activeWallId = 2;
+  room.artworks = [{ ...ProjectStore.defaultArtwork(), id: 5, wallId: 2, width: 40, height: 30 }, { ...ProjectStore.defaultArtwork(), id: 6, wallId: null }];
+  const { state } = ProjectStore.parseProjectFile(file(3, room));
+  assert.deepEqual(state, room);
+});
+
+test('an exported project reads back at the current version', () => {
+  const project = ProjectStore.createProject('Study');
+  const data = JSON.parse(ProjectStore.serializeProject(project));
+  assert.equal(data.version, ProjectStore.FILE_VERSION);
+  assert.deepEqual(ProjectStore.parseProjectFile(JSON.stringify(data)).state, project.state);
+});
+
+test('a file from a newer version is refused', () => {
+  assert.throws(() => ProjectStore.parseProjectFile(file(ProjectStore.FILE_VERSION + 1, {})), /Unsupported project file version/);
+});
+
+test('ids made in a batch never repeat, and later ids come after them', () => {
+  const batch = Array.from({ length: 50 }, () => ProjectStore.nextId());
+  assert.equal(new Set(batch).size, 50);
+  assert.ok(batch.every((id, i) => i === 0 || id > batch[i - 1]));
+  assert.ok(ProjectStore.nextId() > batch[49]);
+});
@@ -0,0 +1,29 @@
+// Share links round-trip the room plan, including text outside Latin-1.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+global.btoa = text => Buffer.from(text, 'binary').toString('base64');
+global.atob = text => Buffer.from(text, 'base64').toString('binary');
+
+const SharePlan = require('../share.js');
+const ProjectStore = require('../projects.js');
+
+test('names, titles and labels outside Latin-1 survive a share link', () => {
+  const state = ProjectStore.defaultState();
+  state.walls[0].name = 'Kamin — Mitte';
+  state.walls[0].reference = { ...state.walls[0].reference, anchorEnabled: true, anchorLabel: 'Kamin — Mitte' };
+  state.artworks[0] = { ...state.artworks[0], title: 'Mom’s portrait', artist: '葛飾北斎' };
+
+  const decoded = ProjectStore.normalizeState(SharePlan.decodePlan(SharePlan.encodePlan(state)));
+
+  assert.equal(decoded.walls[0].name, 'Kamin — Mitte');
+  assert.equal(decoded.walls[0].reference.anchorLabel, 'Kamin — Mitte');
+  assert.equal(decoded.artworks[0].title, 'Mom’s portrait');
+  assert.equal(decoded.artworks[0].artist, '葛飾北斎');
+});
+
+test('links made with Latin-1 text before UTF-8 encoding still open', () => {
+  const legacy = btoa(JSON.stringify([6, 0, 150, 300, 0, [1, 1, 10, 10], [], [], null, ['bottom', 'left', {}, {}], [0, 1, 20, 'Café']]));
+  assert.equal(SharePlan.decodePlan(legacy.replace(/\+/g, '-').replace(/\//g, '_')).reference.anchorLabel, 'Café');
+});
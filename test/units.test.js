@@ -0,0 +1,69 @@
+// Length parsing and display, which every input and result goes through.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Units = require('../units.js');
+const ProjectStore = require('../projects.js');
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+test('parseLength reads fractions, feet and inches, and metric suffixes', () => {
+  close(Units.parseLength('12 3/8', 'inches'), 12.375 * 2.54);
+  close(Units.parseLength('12-3/8', 'inches'), 12.375 * 2.54);
+  close(Units.parseLength(`2' 4-1/2"`, 'cm'), 28.5 * 2.54);
+  close(Units.parseLength('305mm', 'inches'), 30.5);
+  close(Units.parseLength('30.5 cm', 'mm'), 30.5);
+  close(Units.parseLength('1.2m', 'cm'), 120);
+  close(Units.parseLength('12', 'mm'), 1.2);
+});
+
+test('parseLength keeps the sign of negative values', () => {
+  close(Units.parseLength('-3/8', 'inches'), -0.375 * 2.54);
+  close(Units.parseLength('-2.5', 'cm'), -2.5);
+  close(Units.parseLength('- 10mm', 'cm'), -1);
+});
+
+test('parseLength returns null for a zero denominator, empty text and garbage', () => {
+  assert.equal(Units.parseLength('1/0', 'inches'), null);
+  assert.equal(Units.parseLength('2 1/0', 'inches'), null);
+  assert.equal(Units.parseLength('', 'cm'), null);
+  assert.equal(Units.parseLength('   ', 'cm'), null);
+  assert.equal(Units.parseLength('-', 'cm'), null);
+  assert.equal(Units.parseLength('abc', 'cm'), null);
+  assert.equal(Units.parseLength('12 apples', 'cm'), null);
+  assert.equal(Units.parseLength('1.2.3', 'cm'), null);
+});
+
+test('formatLength shows what a tape measure reads', () => {
+  assert.equal(Units.formatLength(12.375 * 2.54, 'inches'), '12 3/8"');
+  assert.equal(Units.formatLength(0.5 * 2.54, 'inches'), '1/2"');
+  assert.equal(Units.formatLength(-0.25 * 2.54, 'inches'), '-1/4"');
+  assert.equal(Units.formatLength(31.44, 'mm'), '314mm');
+  assert.equal(Units.formatLength(31.44, 'cm'), '31.4cm');
+});
+
+test('roundToTape rounds to the nearest 1/16" or millimetre, in centimetres', () => {
+  close(Units.roundToTape(1.025 * 2.54, 'inches'), 2.54);
+  close(Units.roundToTape(1.04 * 2.54, 'inches'), (17 / 16) * 2.54);
+  close(Units.roundToTape(10.04, 'cm'), 10);
+  close(Units.roundToTape(10.06, 'mm'), 10.1);
+});
+
+test('a legacy inch project is scaled to centimetres once', () => {
+  const state = ProjectStore.normalizeState({
+    units: 'inches',
+    targetCentroid: 60,
+    wallWidth: 120,
+    layout: { horizontalGap: 2 },
+    obstacles: [{ id: 1, type: 'window', x: 10, y: 40, width: 30, height: 50, clearance: 1 }],
+    artworks: [{ id: 1, width: 24, height: 36, wireOffset: 4 }]
+  });
+  const [wall] = state.walls;
+  assert.equal(state.lengthUnit, 'cm');
+  assert.equal(state.units, 'inches');
+  assert.deepEqual([wall.targetCentroid, wall.wallWidth, wall.layout.horizontalGap], [60 * 2.54, 120 * 2.54, 2 * 2.54]);
+  assert.deepEqual([wall.obstacles[0].x, wall.obstacles[0].height], [10 * 2.54, 50 * 2.54]);
+  assert.deepEqual([state.artworks[0].width, state.artworks[0].height, state.artworks[0].wireOffset], [24 * 2.54, 36 * 2.54, 4 * 2.54]);
+  // Normalizing again leaves it alone now that lengthUnit is set.
+  assert.deepEqual(ProjectStore.normalizeState(state), state);
+});
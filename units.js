@@ -0,0 +1,133 @@
+// units.js
+// Every length in the calculator is stored in centimetres; the chosen unit only affects
+// what the user types and reads. Display rounds to what a tape measure shows:
+// the nearest 1/16" in inches, the nearest millimetre in cm and mm.
+
+(function (root) {
+  const CM_PER_INCH = 2.54;
+
+  const UNITS = {
+    cm: { label: 'cm', name: 'centimetres', perCm: 1 },
+    mm: { label: 'mm', name: 'millimetres', perCm: 10 },
+    inches: { label: 'in', name: 'inches', perCm: 1 / CM_PER_INCH }
+  };
+
+  // Suffixes that override the display unit, as centimetres per unit.
+  const METRIC_SUFFIXES = { mm: 0.1, cm: 1, m: 100 };
+
+  const perCm = unit => (UNITS[unit] || UNITS.cm).perCm;
+  const toUnit = (cm, unit) => cm * perCm(unit);
+  const fromUnit = (value, unit) => value / perCm(unit);
+
+  // "12", "12.5", "3/8", "12 3/8" or "12-3/8" as a number, or null.
+  const parseAmount = text => {
+    const mixed = /^(\d+)(?:\s+|\s*-\s*)(\d+)\/(\d+)$/.exec(text);
+    if (mixed) return Number(mixed[3]) > 0 ? Number(mixed[1]) + Number(mixed[2]) / Number(mixed[3]) : null;
+    const fraction = /^(\d+)\/(\d+)$/.exec(text);
+    if (fraction) return Number(fraction[2]) > 0 ? Number(fraction[1]) / Number(fraction[2]) : null;
+    return /^(\d+\.?\d*|\.\d+)$/.test(text) ? Number(text) : null;
+  };
+
+  // Centimetres for text such as `12 3/8`, `2' 4-1/2"`, `305mm` or `30.5 cm`, or null if it
+  // cannot be read. A number without a suffix is in the display unit.
+  const parseLength = (text, unit) => {
+    let rest = String(text)
+      .trim()
+      .toLowerCase()
+      .replace(/[″”“]/g, '"')
+      .replace(/[′’‘]/g, "'");
+    const sign = rest.startsWith('-') ? -1 : 1;
+    if (sign < 0) rest = rest.slice(1).trim();
+    if (rest === '') return null;
+
+    const metric = /^(.+?)\s*(mm|cm|m)$/.exec(rest);
+    if (metric) {
+      const amount = parseAmount(metric[1]);
+      return amount == null ? null : sign * amount * METRIC_SUFFIXES[metric[2]];
+    }
+
+    const feet = /^(.+?)\s*(?:'|feet|foot|ft)\s*(.*)$/.exec(rest);
+    const inchText = (feet ? feet[2] : rest).replace(/\s*(?:"|inches|inch|in)$/, '');
+    if (feet || inchText !== rest) {
+      const footAmount = feet ? parseAmount(feet[1]) : 0;
+      const inchAmount = inchText === '' ? 0 : parseAmount(inchText);
+      if (footAmount == null || inchAmount == null) return null;
+      return sign * (footAmount * 12 + inchAmount) * CM_PER_INCH;
+    }
+
+    const amount = parseAmount(rest);
+    return amount == null ? null : sign * fromUnit(amount, unit);
+  };
+
+  // Inches to the nearest 1/16 as "12 3/8", with the fraction reduced.
+  const formatInches = inches => {
+    const sixteenths = Math.round(Math.abs(inches) * 16);
+    const whole = Math.floor(sixteenths / 16);
+    let numerator = sixteenths % 16;
+    let denominator = 16;
+    while (numerator > 0 && numerator % 2 === 0) {
+      numerator /= 2;
+      denominator /= 2;
+    }
+    const sign = inches < 0 && sixteenths > 0 ? '-' : '';
+    if (numerator === 0) return `${sign}${whole}`;
+    return `${sign}${whole > 0 ? `${whole} ` : ''}${numerator}/${denominator}`;
+  };
+
+  // Rounds to the display unit's tape resolution, still in centimetres.
+  const roundToTape = (cm, unit) =>
+    unit === 'inches' ? (Math.round((cm / CM_PER_INCH) * 16) / 16) * CM_PER_INCH : Math.round(cm * 10) / 10;
+
+  // `12 3/8"`, `314mm` or `31.4cm`.
+  const formatLength = (cm, unit) => {
+    if (unit === 'inches') return `${formatInches(cm / CM_PER_INCH)}"`;
+    if (unit === 'mm') return `${Math.round(cm * 10)}mm`;
+    return `${(Math.round(cm * 10) / 10).toFixed(1)}cm`;
+  };
+
+  // Text for an input field. Values off the 1/16" grid stay decimal so nothing is hidden.
+  const formatInput = (cm, unit) => {
+    const value = toUnit(cm, unit);
+    if (unit === 'inches' && Math.abs(value * 16 - Math.round(value * 16)) < 1e-6) return formatInches(value);
+    return String(+value.toFixed(unit === 'inches' ? 4 : 2));
+  };
+
+  // Weights are stored in kilograms and shown in pounds when lengths are in inches.
+  const KG_PER_LB = 0.45359237;
+  const WEIGHT_SUFFIXES = { kg: 1, g: 0.001, lb: KG_PER_LB, lbs: KG_PER_LB, oz: KG_PER_LB / 16 };
+
+  const weightUnit = unit => (unit === 'inches' ? 'lb' : 'kg');
+
+  // Kilograms for text such as `12`, `4.5 kg`, `9 lb` or `500g`, or null. A number without a
+  // suffix is in `unit` when that is a weight suffix, otherwise in the display unit's weight unit.
+  const parseWeight = (text, unit) => {
+    const match = /^(\d+\.?\d*|\.\d+)\s*(kg|g|lbs?|oz)?$/.exec(String(text).trim().toLowerCase());
+    return match ? Number(match[1]) * WEIGHT_SUFFIXES[match[2] || (WEIGHT_SUFFIXES[unit] ? unit : weightUnit(unit))] : null;
+  };
+
+  // `9.9 lb` or `4.5 kg`.
+  const formatWeight = (kg, unit) => `${+(kg / WEIGHT_SUFFIXES[weightUnit(unit)]).toFixed(1)} ${weightUnit(unit)}`;
+
+  const formatWeightInput = (kg, unit) => String(+(kg / WEIGHT_SUFFIXES[weightUnit(unit)]).toFixed(2));
+
+  const Units = {
+    CM_PER_INCH,
+    UNITS,
+    toUnit,
+    fromUnit,
+    parseLength,
+    formatLength,
+    formatInput,
+    roundToTape,
+    weightUnit,
+    parseWeight,
+    formatWeight,
+    formatWeightInput
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = Units;
+  } else {
+    root.Units = Units;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);